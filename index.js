@@ -1,10 +1,821 @@
 "use strict";
 
-const { DuckDBInstance } = require("@duckdb/node-api");
+const { DuckDBInstance, blobValue } = require("@duckdb/node-api");
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
 const path = require("path");
+const { Readable } = require("stream");
+const { promisify } = require("util");
 const zlib = require("zlib");
 
+const ConnectionPool = require("./lib/pool");
+const InstanceCache = require("./lib/instances");
+const MemoryCache = require("./lib/memory-cache");
+const DiskCache = require("./lib/disk-cache");
+
+const gzip = promisify(zlib.gzip);
+const brotliCompress = promisify(zlib.brotliCompress);
+const zstdCompress = zlib.zstdCompress && promisify(zlib.zstdCompress);
+
+// Shared by every source in the process, however many times the module
+// function is called
+const instances = new InstanceCache();
+
 const DEFAULT_CENTER_ZOOM = 12;
+const DEFAULT_MINZOOM = 0;
+const DEFAULT_MAXZOOM = 14;
+const MAX_ZOOM_LEVEL = 30;
+const DEFAULT_EXTENT = 4096;
+const DEFAULT_BUFFER = 256;
+const DEFAULT_WATCH_INTERVAL = 1000;
+
+// Source state that a reload replaces
+const RELOADED_STATE = ["instance", "connection", "pool", "layers", "_columns", "_bounds", "_info", "_version"];
+
+// Simplification tolerances and size cutoffs are given in pixels of a
+// 256-pixel tile, so they scale with each zoom's resolution
+const TILE_SIZE = 256;
+const WEB_MERCATOR = "EPSG:3857";
+const WGS84 = "EPSG:4326";
+const WEB_MERCATOR_WORLD_SIZE = 2 * 20037508.342789244;
+const MAX_LATITUDE = 85.0511287798;
+
+// What getTile returns for tiles without features
+const EMPTY_TILE_MODES = ["error", "empty", "no_content"];
+
+function parseNonNegative(value, name) {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value} (must be a non-negative number)`);
+  }
+  return number;
+}
+
+function parsePositiveInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number <= 0) {
+    throw new Error(`Invalid ${name}: ${value} (must be a positive integer)`);
+  }
+  return number;
+}
+
+function parseNonNegativeInteger(value, name) {
+  const number = Number(value);
+  if (!Number.isInteger(number) || number < 0) {
+    throw new Error(`Invalid ${name}: ${value} (must be a non-negative integer)`);
+  }
+  return number;
+}
+
+function parseBoolean(value, name) {
+  if (value === "true" || value === "1") {
+    return true;
+  }
+  if (value === "false" || value === "0") {
+    return false;
+  }
+  throw new Error(`Invalid ${name}: ${value} (must be true or false)`);
+}
+
+// Size of one tile pixel in EPSG:3857 units at zoom z
+function pixelResolution(z) {
+  return WEB_MERCATOR_WORLD_SIZE / (TILE_SIZE * 2 ** z);
+}
+
+// EPSG:3857 bounds of tile z/x/y, grown by margin tile widths on every side
+function tileBounds(z, x, y, margin = 0) {
+  const size = WEB_MERCATOR_WORLD_SIZE / 2 ** z;
+  const origin = WEB_MERCATOR_WORLD_SIZE / 2;
+  return [
+    -origin + (x - margin) * size,
+    origin - (y + 1 + margin) * size,
+    -origin + (x + 1 + margin) * size,
+    origin - (y - margin) * size,
+  ];
+}
+
+// Headers for a stored tile, detected from its contents, since tile stores
+// can hold any format
+function storedTileHeaders(data) {
+  if (data[0] === 0x89 && data.toString("latin1", 1, 4) === "PNG") {
+    return { "Content-Type": "image/png" };
+  }
+  if (data[0] === 0xff && data[1] === 0xd8) {
+    return { "Content-Type": "image/jpeg" };
+  }
+  if (data.toString("latin1", 0, 4) === "RIFF" && data.toString("latin1", 8, 12) === "WEBP") {
+    return { "Content-Type": "image/webp" };
+  }
+
+  const headers = { "Content-Type": "application/vnd.mapbox-vector-tile" };
+  if (data[0] === 0x1f && data[1] === 0x8b) {
+    headers["Content-Encoding"] = "gzip";
+  }
+  return headers;
+}
+
+function parseCompression(params) {
+  const type = params.get("compression") || "gzip";
+  const compression = COMPRESSIONS[type];
+
+  if (!compression) {
+    throw new Error(`Invalid compression: ${type} (must be none, gzip, brotli or zstd)`);
+  }
+
+  if (type === "zstd" && !zstdCompress) {
+    throw new Error("zstd compression requires Node.js 22.15 or later");
+  }
+
+  let level = null;
+  if (params.has("compression_level")) {
+    if (type === "none") {
+      throw new Error("compression_level cannot be used without compression");
+    }
+
+    level = Number(params.get("compression_level"));
+    if (!Number.isInteger(level) || level < compression.minLevel || level > compression.maxLevel) {
+      throw new Error(
+        `Invalid compression_level: ${params.get("compression_level")} (must be an integer from ${compression.minLevel} to ${compression.maxLevel} for ${type})`
+      );
+    }
+  }
+
+  return { type, level, ...compression };
+}
+
+function isTile(z, x, y) {
+  return (
+    Number.isInteger(z) && z >= 0 && z <= MAX_ZOOM_LEVEL &&
+    Number.isInteger(x) && x >= 0 && x < 2 ** z &&
+    Number.isInteger(y) && y >= 0 && y < 2 ** z
+  );
+}
+
+// EPSG:3857 coordinates of an EPSG:4326 longitude and latitude, clamped to
+// the latitudes Web Mercator covers
+function toWebMercator(lon, lat) {
+  const origin = WEB_MERCATOR_WORLD_SIZE / 2;
+  const clamped = Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE);
+  return [
+    (lon / 180) * origin,
+    (Math.log(Math.tan(Math.PI / 4 + (clamped * Math.PI) / 360)) / Math.PI) * origin,
+  ];
+}
+
+// Columns and rows of the tiles at zoom z covering bbox, [west, south,
+// east, north] in EPSG:4326
+function tileRange(bbox, z) {
+  const tiles = 2 ** z;
+  const clamp = (value) => Math.min(Math.max(Math.floor(value), 0), tiles - 1);
+  const column = (lon) => clamp(((lon + 180) / 360) * tiles);
+  const row = (lat) => {
+    const sin = Math.sin((Math.max(Math.min(lat, MAX_LATITUDE), -MAX_LATITUDE) * Math.PI) / 180);
+    return clamp((0.5 - Math.log((1 + sin) / (1 - sin)) / (4 * Math.PI)) * tiles);
+  };
+
+  return {
+    minX: column(bbox[0]),
+    minY: row(bbox[3]),
+    maxX: column(bbox[2]),
+    maxY: row(bbox[1]),
+  };
+}
+
+// Accept bare SRIDs (4326) as well as authority:code identifiers (EPSG:4326)
+function parseCrs(value) {
+  const crs = /^\d+$/.test(value) ? `EPSG:${value}` : value;
+  return crs.toUpperCase().startsWith("EPSG:") ? crs.toUpperCase() : crs;
+}
+
+function quoteLiteral(value) {
+  return `'${String(value).replace(/'/g, "''")}'`;
+}
+
+function quoteIdentifier(name) {
+  return `"${String(name).replace(/"/g, '""')}"`;
+}
+
+// Split [catalog.][schema.]table into its parts; missing parts are resolved
+// against the current database and schema
+function parseTableName(table) {
+  const parts = table.split(".");
+  if (parts.length > 3 || !parts.every((part) => /^[a-zA-Z0-9_]+$/.test(part))) {
+    throw new Error(
+      `Invalid table name: ${table} (expected [catalog.][schema.]table with only alphanumeric and underscore allowed in each part)`
+    );
+  }
+
+  const [name, schema = null, catalog = null] = parts.reverse();
+  return { catalog, schema, name };
+}
+
+function qualifiedTableName(tableRef) {
+  return [tableRef.catalog, tableRef.schema, tableRef.name]
+    .filter((part) => part !== null)
+    .map(quoteIdentifier)
+    .join(".");
+}
+
+// SQL for an EPSG:3857 envelope, transformed into crs so that it can be
+// compared against raw geometry columns (and their R-tree indexes). Bounds
+// are numbers, or SQL such as the parameters they are bound to.
+function envelopeSql(bounds, crs) {
+  const envelope = `ST_MakeEnvelope(${bounds.join(", ")})`;
+  if (!crs || crs === WEB_MERCATOR) {
+    return envelope;
+  }
+  return `ST_Envelope(ST_Transform(${envelope}, '${WEB_MERCATOR}', ${quoteLiteral(crs)}, always_xy := true))`;
+}
+
+// Replace tile placeholders in layer SQL. Only SQL built from numbers
+// computed for the tile is inserted, never text from the request.
+function substitutePlaceholders(sql, placeholders) {
+  return sql.replace(/!(bbox|zoom|pixel_width)!/gi, (_, name) => {
+    switch (name.toLowerCase()) {
+      case "bbox":
+        return placeholders.bbox;
+      case "zoom":
+        return String(placeholders.zoom);
+      default:
+        return String(placeholders.pixelWidth);
+    }
+  });
+}
+
+// Placeholder values covering the whole world, for queries that are not
+// tied to a tile (bounds and schema)
+function worldPlaceholders(layer) {
+  return {
+    bbox: envelopeSql(tileBounds(0, 0, 0), layer.crs),
+    zoom: layer.maxzoom,
+    pixelWidth: pixelResolution(layer.maxzoom),
+  };
+}
+
+// The relation a layer reads from: a table, or its SQL query as a subquery
+function layerSource(layer, placeholders) {
+  if (layer.sql) {
+    return `(${substitutePlaceholders(layer.sql, placeholders)})`;
+  }
+  return qualifiedTableName(layer.tableRef);
+}
+
+// Tile parameters are declared as param.<name>=<type>
+function parseParameters(params) {
+  const parameters = new Map();
+
+  for (const [key, type] of params) {
+    if (!key.startsWith("param.")) {
+      continue;
+    }
+
+    const name = key.slice("param.".length);
+    if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+      throw new Error(`Invalid parameter name: ${name} (only alphanumeric and underscore allowed)`);
+    }
+    if (name.startsWith("__")) {
+      throw new Error(`Invalid parameter name: ${name} (names starting with __ are reserved)`);
+    }
+    if (!PARAMETER_TYPES.includes(type)) {
+      throw new Error(`Invalid type for parameter ${name}: ${type} (must be ${PARAMETER_TYPES.join(", ")})`);
+    }
+
+    parameters.set(name, type);
+  }
+
+  return parameters;
+}
+
+// Names of the $name parameters that SQL refers to
+function referencedParameters(sql) {
+  return [...new Set([...sql.matchAll(/\$([A-Za-z_][A-Za-z0-9_]*)/g)].map((match) => match[1]))];
+}
+
+// The value to bind for a tile parameter. Integers are bound as BIGINTs,
+// numbers as DOUBLEs.
+function coerceParameter(name, type, value) {
+  const text = String(value).trim();
+  const invalid = () => new Error(`Invalid value for parameter ${name}: ${value} (must be ${type === "integer" ? "an" : "a"} ${type})`);
+
+  switch (type) {
+    case "integer":
+      if (typeof value === "bigint") {
+        return value;
+      }
+      if (!/^-?\d+$/.test(text)) {
+        throw invalid();
+      }
+      return BigInt(text);
+    case "number": {
+      const number = typeof value === "number" ? value : Number(text);
+      if (text === "" || !Number.isFinite(number)) {
+        throw invalid();
+      }
+      return number;
+    }
+    case "boolean":
+      if (typeof value === "boolean") {
+        return value;
+      }
+      if (text !== "true" && text !== "false") {
+        throw invalid();
+      }
+      return text === "true";
+    default:
+      return String(value);
+  }
+}
+
+function parseCluster(get) {
+  const names = ["cluster_size", "cluster_method", ...CLUSTER_AGGREGATES.map((fn) => `cluster_${fn}`)];
+
+  if (get("cluster_maxzoom") == null) {
+    const name = names.find((name) => get(name) != null);
+    if (name) {
+      throw new Error(`${name} parameter requires cluster_maxzoom`);
+    }
+    return null;
+  }
+
+  const method = get("cluster_method") || "grid";
+  if (method !== "grid" && method !== "h3") {
+    throw new Error(`Invalid cluster_method: ${method} (must be grid or h3)`);
+  }
+
+  // Aggregates are named <column>_<function> unless given an alias
+  const aggregates = [];
+  for (const fn of CLUSTER_AGGREGATES) {
+    if (get(`cluster_${fn}`) == null) {
+      continue;
+    }
+    for (const field of parseFields(get(`cluster_${fn}`))) {
+      aggregates.push({
+        fn: fn,
+        column: field.name,
+        alias: field.alias === field.name ? `${field.name}_${fn}` : field.alias,
+        // Set from the column in _initialize
+        type: null,
+      });
+    }
+  }
+
+  return {
+    maxzoom: parseZoom(get("cluster_maxzoom"), "cluster_maxzoom"),
+    size: get("cluster_size") != null ? parsePositiveInteger(get("cluster_size"), "cluster_size") : DEFAULT_CLUSTER_SIZE,
+    method: method,
+    aggregates: aggregates,
+  };
+}
+
+// H3 resolution whose hexagons are closest in width to cells of size
+// EPSG:3857 metres
+function h3Resolution(size) {
+  const resolution = Math.round(Math.log(H3_RES0_EDGE / (size / 2)) / Math.log(Math.sqrt(7)));
+  return Math.min(Math.max(resolution, 0), 15);
+}
+
+// Bounds grown so that every cluster drawn within bounds is computed from
+// all of its points: out to whole grid cells, or by one cell for H3
+function clusterBounds(bounds, size, method) {
+  if (method === "h3") {
+    return [bounds[0] - size, bounds[1] - size, bounds[2] + size, bounds[3] + size];
+  }
+  return [
+    Math.floor(bounds[0] / size) * size,
+    Math.floor(bounds[1] / size) * size,
+    Math.ceil(bounds[2] / size) * size,
+    Math.ceil(bounds[3] / size) * size,
+  ];
+}
+
+// Group the point rows of features, which have the EPSG:3857 centroid of
+// each feature in __point (and its EPSG:4326 centroid in __lnglat for H3),
+// into clusters of size metres. Each cluster is a point at the mean position
+// of its members, with point_count, the layer's aggregates and, for clusters
+// of one point, that point's properties. Rows of other geometries are passed
+// through if they intersect envelope, with their geometry replaced by shape,
+// its EPSG:3857 expression.
+function clusterSql(layer, features, size, columns, shape, envelope) {
+  const cell =
+    layer.cluster.method === "h3"
+      ? `h3_latlng_to_cell(ST_Y(t.__lnglat), ST_X(t.__lnglat), ${h3Resolution(size)})`
+      : `floor(ST_X(t.__point) / ${size}), floor(ST_Y(t.__point) / ${size})`;
+
+  const selections = [
+    `ST_Point(avg(ST_X(t.__point)), avg(ST_Y(t.__point))) AS ${quoteIdentifier(layer.geometryColumn)}`,
+    "count(*) AS point_count",
+    ...layer.cluster.aggregates.map((aggregate) => {
+      // Sums and averages of integers can be HUGEINTs, which MVT can't hold
+      const cast = aggregate.fn === "sum" || aggregate.fn === "avg" ? "::DOUBLE" : "";
+      return `${aggregate.fn}(t.${quoteIdentifier(aggregate.column)})${cast} AS ${quoteIdentifier(aggregate.alias)}`;
+    }),
+    ...columns.map(
+      (column) => `CASE WHEN count(*) = 1 THEN any_value(t.${quoteIdentifier(column.name)}) END AS ${quoteIdentifier(column.name)}`
+    ),
+  ];
+
+  const geometry = `t.${quoteIdentifier(layer.geometryColumn)}`;
+  return `
+    WITH features AS (${features})
+    SELECT ${selections.join(", ")}
+    FROM features t
+    WHERE ST_GeometryType(${geometry}) = 'POINT'
+    GROUP BY ${cell}
+    UNION ALL BY NAME
+    SELECT * REPLACE (${shape} AS ${quoteIdentifier(layer.geometryColumn)})
+    FROM features t
+    WHERE ST_GeometryType(${geometry}) <> 'POINT'
+      AND ST_Intersects(${geometry}, ${envelope})
+  `;
+}
+
+function readLayerSql(sql, sqlFile) {
+  if (sql != null && sqlFile != null) {
+    throw new Error("sql and sql_file parameters cannot be combined");
+  }
+
+  const text = sqlFile != null ? fs.readFileSync(path.resolve(sqlFile), "utf8") : sql;
+  return text == null ? null : text.trim().replace(/;\s*$/, "");
+}
+
+// Types that ST_AsMVT encodes as they are
+const MVT_TYPES = new Set(["BOOLEAN", "INTEGER", "BIGINT", "FLOAT", "DOUBLE", "VARCHAR"]);
+
+// Types that are left out of tiles unless listed in fields
+const OPAQUE_TYPES = /^(BLOB|GEOMETRY)/;
+
+// Types that can be used as feature ids without hashing
+const INTEGER_TYPES = /^U?(TINYINT|SMALLINT|INTEGER|BIGINT)$/;
+
+// Hashed feature ids are kept below 2^53 so that they survive as numbers
+// in JavaScript clients
+const MAX_SAFE_ID = 2 ** 53;
+
+// Convert a column to a type ST_AsMVT can encode: nested values become JSON,
+// wide numbers become doubles and temporal values become ISO 8601 strings or
+// epoch milliseconds
+function propertyExpression(expr, type, timestamps) {
+  const upperType = type.toUpperCase();
+
+  if (MVT_TYPES.has(upperType)) {
+    return expr;
+  }
+  if (/\]$/.test(upperType) || /^(STRUCT|MAP|UNION)\(/.test(upperType)) {
+    return `CAST(to_json(${expr}) AS VARCHAR)`;
+  }
+  if (["TINYINT", "SMALLINT", "UTINYINT", "USMALLINT"].includes(upperType)) {
+    return `CAST(${expr} AS INTEGER)`;
+  }
+  if (upperType === "UINTEGER") {
+    return `CAST(${expr} AS BIGINT)`;
+  }
+  if (/^(DECIMAL|NUMERIC|HUGEINT|UHUGEINT|UBIGINT|BIGNUM|VARINT|REAL)/.test(upperType)) {
+    return `CAST(${expr} AS DOUBLE)`;
+  }
+  if (upperType === "TIMESTAMP WITH TIME ZONE") {
+    return timestamps === "epoch"
+      ? `epoch_ms(${expr})`
+      : `strftime(timezone('UTC', ${expr}), '%Y-%m-%dT%H:%M:%S.%gZ')`;
+  }
+  if (/^TIMESTAMP/.test(upperType)) {
+    return timestamps === "epoch"
+      ? `epoch_ms(CAST(${expr} AS TIMESTAMP))`
+      : `strftime(CAST(${expr} AS TIMESTAMP), '%Y-%m-%dT%H:%M:%S.%g')`;
+  }
+  if (upperType === "DATE") {
+    return timestamps === "epoch" ? `epoch_ms(CAST(${expr} AS TIMESTAMP))` : `CAST(${expr} AS VARCHAR)`;
+  }
+  if (upperType === "BLOB") {
+    return `to_base64(${expr})`;
+  }
+  if (/^GEOMETRY/.test(upperType)) {
+    return `ST_AsText(${expr})`;
+  }
+  return `CAST(${expr} AS VARCHAR)`;
+}
+
+// TileJSON field type of a column after propertyExpression's conversion
+function fieldType(type, timestamps) {
+  const upperType = type.toUpperCase();
+
+  if (upperType === "BOOLEAN") {
+    return "Boolean";
+  }
+  if (/^(TINYINT|SMALLINT|INTEGER|BIGINT|UTINYINT|USMALLINT|UINTEGER|UBIGINT|HUGEINT|UHUGEINT|BIGNUM|VARINT|FLOAT|REAL|DOUBLE|DECIMAL|NUMERIC)/.test(upperType)) {
+    return "Number";
+  }
+  if (timestamps === "epoch" && /^(TIMESTAMP|DATE)/.test(upperType)) {
+    return "Number";
+  }
+  return "String";
+}
+
+// Geometry types reported by ST_GeometryType, as named by Mapbox tilestats
+const GEOMETRY_TYPES = {
+  POINT: "Point",
+  MULTIPOINT: "Point",
+  LINESTRING: "LineString",
+  MULTILINESTRING: "LineString",
+  POLYGON: "Polygon",
+  MULTIPOLYGON: "Polygon",
+};
+
+// Maximum number of distinct values listed per attribute in tilestats
+const MAX_TILESTATS_VALUES = 100;
+
+// Number of geometries whose types decide the geometry type of a layer
+const GEOMETRY_TYPE_SAMPLE_SIZE = 1000;
+
+// Content-Encoding, range of levels and compression function of each tile
+// compression. A null level leaves the library default.
+const COMPRESSIONS = {
+  none: {
+    encoding: null,
+    compress: async (data) => data,
+  },
+  gzip: {
+    encoding: "gzip",
+    minLevel: 0,
+    maxLevel: 9,
+    compress: (data, level) => gzip(data, level === null ? {} : { level }),
+  },
+  brotli: {
+    encoding: "br",
+    minLevel: 0,
+    maxLevel: 11,
+    compress: (data, level) =>
+      brotliCompress(data, level === null ? {} : { params: { [zlib.constants.BROTLI_PARAM_QUALITY]: level } }),
+  },
+  zstd: {
+    encoding: "zstd",
+    minLevel: 1,
+    maxLevel: 22,
+    compress: (data, level) =>
+      zstdCompress(data, level === null ? {} : { params: { [zlib.constants.ZSTD_c_compressionLevel]: level } }),
+  },
+};
+
+// Point clustering: cell size in pixels of a 256-pixel tile, aggregate
+// functions, and the average edge length of H3 resolution 0 hexagons in
+// metres. Each H3 resolution divides edges by about sqrt(7).
+const DEFAULT_CLUSTER_SIZE = 64;
+const CLUSTER_AGGREGATES = ["sum", "avg", "min", "max"];
+const H3_RES0_EDGE = 1281256.5;
+
+// Types of tile parameters, which requests supply as strings or JS values
+const PARAMETER_TYPES = ["integer", "number", "string", "boolean"];
+
+// Tiles written to a tile store are inserted in transactions of this many
+const WRITE_BATCH_SIZE = 1000;
+
+// Info properties that MBTiles stores as JSON in the json metadata row
+const JSON_METADATA = new Set(["vector_layers", "tilestats"]);
+
+function toJSValue(value) {
+  if (typeof value === "bigint") {
+    return Number(value);
+  }
+  if (Array.isArray(value)) {
+    return value.map(toJSValue);
+  }
+  return value;
+}
+
+// fields=id,name:title selects columns, optionally renaming them
+function parseFields(value) {
+  return value
+    .split(",")
+    .map((field) => field.trim())
+    .filter((field) => field.length > 0)
+    .map((field) => {
+      const [name, alias] = field.split(":");
+      return { name: name, alias: alias || name };
+    });
+}
+
+function notFoundError() {
+  return new Error("Tile does not exist");
+}
+
+function closedError() {
+  const err = new Error("Source closed");
+  err.code = "ESOURCECLOSED";
+  return err;
+}
+
+function timeoutError(timeout) {
+  const err = new Error(`Tile query timed out after ${timeout}ms`);
+  err.code = "ETIMEDOUT";
+  return err;
+}
+
+function tooLargeError(message) {
+  const err = new Error(message);
+  err.code = "ETILETOOLARGE";
+  return err;
+}
+
+function parseZoom(value, name) {
+  const zoom = Number(value);
+  if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM_LEVEL) {
+    throw new Error(`Invalid ${name}: ${value} (must be an integer between 0 and ${MAX_ZOOM_LEVEL})`);
+  }
+  return zoom;
+}
+
+// Build a layer definition from URI parameters. In multi-layer sources, layer
+// settings are prefixed with the table name (<table>.geometry); source-wide
+// settings such as geometry and minzoom act as defaults for every layer.
+function parseLayer(params, table, prefix) {
+  const getOwn = (name) => params.get(prefix + name);
+  const get = (name) => getOwn(name) ?? params.get(name);
+
+  // Layers defined by SQL read from the query instead of a table
+  const sql = readLayerSql(getOwn("sql"), getOwn("sql_file"));
+  const tableRef = sql ? null : parseTableName(table);
+  const layerName =
+    getOwn("layer") ||
+    (tableRef ? tableRef.name : table) ||
+    (getOwn("sql_file") && path.basename(getOwn("sql_file"), ".sql"));
+
+  if (!layerName) {
+    throw new Error("layer parameter is required for SQL layers");
+  }
+
+  const layer = {
+    table: sql ? null : table,
+    tableRef: tableRef,
+    sql: sql,
+    // Defaults to "geometry" (or the GeoParquet primary column) in _initialize
+    geometryColumn: get("geometry") || null,
+    // Detected from the column type in _initialize when not configured
+    crs: get("crs") != null ? parseCrs(get("crs")) : get("srid") != null ? parseCrs(get("srid")) : null,
+    layerName: layerName,
+    minzoom: get("minzoom") != null ? parseZoom(get("minzoom"), "minzoom") : DEFAULT_MINZOOM,
+    maxzoom: get("maxzoom") != null ? parseZoom(get("maxzoom"), "maxzoom") : DEFAULT_MAXZOOM,
+    filters: [],
+    simplify: get("simplify") != null ? parseNonNegative(get("simplify"), "simplify") : 0,
+    minArea: get("min_area") != null ? parseNonNegative(get("min_area"), "min_area") : 0,
+    minLength: get("min_length") != null ? parseNonNegative(get("min_length"), "min_length") : 0,
+    fields: getOwn("fields") != null ? parseFields(getOwn("fields")) : null,
+    exclude: getOwn("exclude") != null ? parseFields(getOwn("exclude")).map((field) => field.name) : [],
+    timestamps: get("timestamps") || "iso",
+    maxFeatures: get("max_features") != null ? parsePositiveInteger(get("max_features"), "max_features") : null,
+    // Column used as the MVT feature id; other types than integers are hashed
+    // when idHash is set
+    idColumn: get("id") || null,
+    idHash: get("id_hash") != null ? parseBoolean(get("id_hash"), "id_hash") : false,
+    // Points are clustered at zooms up to cluster.maxzoom
+    cluster: parseCluster(get),
+  };
+
+  if (layer.fields && layer.exclude.length > 0) {
+    throw new Error("fields and exclude parameters cannot be combined");
+  }
+
+  if (layer.timestamps !== "iso" && layer.timestamps !== "epoch") {
+    throw new Error(`Invalid timestamps: ${layer.timestamps} (must be iso or epoch)`);
+  }
+
+  if (layer.minzoom > layer.maxzoom) {
+    throw new Error(`minzoom (${layer.minzoom}) must not exceed maxzoom (${layer.maxzoom}) for layer ${layer.layerName}`);
+  }
+
+  // filter applies at every zoom; filter.<minzoom>-<maxzoom> only within that band
+  for (const [key, value] of params) {
+    if (!key.startsWith(prefix + "filter")) {
+      continue;
+    }
+
+    const match = key.slice(prefix.length).match(/^filter(?:\.(\d+)-(\d+))?$/);
+    if (!match) {
+      throw new Error(`Invalid filter parameter: ${key} (expected filter or filter.<minzoom>-<maxzoom>)`);
+    }
+
+    layer.filters.push({
+      minzoom: match[1] != null ? parseZoom(match[1], "filter minzoom") : 0,
+      maxzoom: match[2] != null ? parseZoom(match[2], "filter maxzoom") : MAX_ZOOM_LEVEL,
+      predicate: value,
+      parameters: referencedParameters(value),
+    });
+  }
+
+  return layer;
+}
+
+// A default table name for a Parquet file or glob, e.g. "buildings" for both
+// /data/buildings.parquet and /data/buildings/*.parquet
+function defaultTableName(filePath) {
+  let name = path.basename(filePath).replace(/\.(geo)?parquet$/i, "");
+  if (/[*?[]/.test(name)) {
+    name = path.basename(path.dirname(filePath));
+  }
+  return name.replace(/[^a-zA-Z0-9_]/g, "_");
+}
+
+function isParquetPath(filePath) {
+  return /\.(geo)?parquet$/i.test(filePath) || /[*?[]/.test(filePath);
+}
+
+function assertSafeIdentifier(value, description) {
+  if (!/^[a-zA-Z0-9_]+$/.test(value)) {
+    throw new Error(`Invalid ${description}: ${value} (only alphanumeric and underscore allowed)`);
+  }
+}
+
+// CRS of a GeoParquet column; a missing crs means OGC:CRS84 per the spec,
+// which is EPSG:4326 with longitude, latitude axis order
+function geoParquetCrs(column) {
+  if (column.crs === undefined) {
+    return WGS84;
+  }
+
+  const id = column.crs && column.crs.id;
+  if (!id) {
+    return null;
+  }
+
+  const crs = `${id.authority}:${id.code}`;
+  return crs === "OGC:CRS84" ? WGS84 : parseCrs(crs);
+}
+
+// Tiles are cached under a key derived from everything that affects their
+// content: the database path and the source parameters
+function cacheNamespace(dbPath, params) {
+  const entries = [...params]
+    .filter(([name]) => !name.startsWith("cache"))
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+  return crypto.createHash("sha256").update(JSON.stringify([dbPath, entries])).digest("hex").slice(0, 16);
+}
+
+function createCache(dbPath, params) {
+  const type = params.get("cache");
+
+  switch (type) {
+    case null:
+    case "none":
+      return null;
+    case "memory":
+      return new MemoryCache({
+        maxSize: params.has("cache_size") ? parsePositiveInteger(params.get("cache_size"), "cache_size") : undefined,
+      });
+    case "disk":
+      if (!params.get("cache_dir")) {
+        throw new Error("cache_dir parameter is required for disk caches");
+      }
+      return new DiskCache(path.join(path.resolve(params.get("cache_dir")), cacheNamespace(dbPath, params)));
+    default:
+      throw new Error(`Invalid cache: ${type} (must be none, memory or disk)`);
+  }
+}
+
+function parseLayers(params, defaultTable) {
+  let layers;
+
+  if (params.has("layers")) {
+    if (params.has("table")) {
+      throw new Error("table and layers parameters cannot be combined");
+    }
+
+    // Each entry in layers is a table name, or the name of a layer defined
+    // by <name>.sql or <name>.sql_file
+    layers = params
+      .get("layers")
+      .split(",")
+      .map((table) => table.trim())
+      .filter((table) => table.length > 0)
+      .map((table) => parseLayer(params, table, `${table}.`));
+
+    if (layers.length === 0) {
+      throw new Error("layers parameter must name at least one table");
+    }
+  } else {
+    const sqlLayer = params.has("sql") || params.has("sql_file");
+
+    if (sqlLayer && params.has("table")) {
+      throw new Error("table and sql parameters cannot be combined");
+    }
+
+    const table = sqlLayer ? null : params.get("table") || defaultTable;
+
+    if (!table && !sqlLayer) {
+      throw new Error("table parameter is required in URI");
+    }
+
+    layers = [parseLayer(params, table, "")];
+  }
+
+  const layerNames = new Set();
+  for (const layer of layers) {
+    if (layerNames.has(layer.layerName)) {
+      throw new Error(`Duplicate layer name: ${layer.layerName}`);
+    }
+    layerNames.add(layer.layerName);
+  }
+
+  return layers;
+}
 
 module.exports = function (tilelive, options) {
   const DuckDBSource = function (uri, callback) {
@@ -62,201 +873,1615 @@ module.exports = function (tilelive, options) {
     }
 
     this.dbPath = dbPath;
+    this.closed = false;
+    this._pending = new Set();
+    this._streams = new Set();
+
+    // Incremented whenever a reload swaps in a new instance
+    this._generation = 0;
+
+    // Why the last reload started by watching the file failed, if it did
+    this.reloadError = null;
+
+    // Prepared tile queries of each pool connection, by SQL
+    this._statements = new WeakMap();
+
+    // Parquet files and globs are read through an in-memory instance
+    this.parquet = isParquetPath(dbPath);
 
     const params = parsedUri.searchParams || new URLSearchParams();
-    this.table = params.get("table");
-    this.geometryColumn = params.get("geometry") || "geometry";
-    this.layerName = params.get("layer") || this.table;
-
-    if (!this.table) {
-      return setImmediate(
-        callback,
-        new Error("table parameter is required in URI")
-      );
+
+    try {
+      // Sources render tiles from features, or store pre-rendered tiles
+      this.mode = params.get("mode") || "features";
+
+      if (this.mode !== "features" && this.mode !== "tiles") {
+        throw new Error(`Invalid mode: ${this.mode} (must be features or tiles)`);
+      }
+
+      if (this.parquet && this.mode === "tiles") {
+        throw new Error("mode=tiles is not supported for Parquet sources");
+      }
+
+      if (this.parquet && params.has("layers")) {
+        throw new Error("layers parameter is not supported for Parquet sources");
+      }
+
+      if (this.parquet && (params.has("sql") || params.has("sql_file"))) {
+        throw new Error("sql parameter is not supported for Parquet sources");
+      }
+
+      if (this.mode === "tiles") {
+        // An MBTiles-style tile store
+        this.layers = [];
+        this.tilesTable = parseTableName(params.get("tiles_table") || "tiles");
+        this.metadataTable = parseTableName(params.get("metadata_table") || "metadata");
+      } else {
+        this.layers = parseLayers(params, this.parquet ? defaultTableName(dbPath) : null);
+      }
+
+      // Parameters that requests may supply to filters
+      this.parameters = parseParameters(params);
+      for (const layer of this.layers) {
+        for (const filter of layer.filters) {
+          const undeclared = filter.parameters.find((name) => !this.parameters.has(name));
+          if (undeclared) {
+            throw new Error(`Filter uses undeclared parameter $${undeclared} (declare it with param.${undeclared}=<type>)`);
+          }
+        }
+      }
+
+      // ST_AsMVTGeom parameters, with the same defaults as PostGIS
+      this.extent = params.has("extent") ? parsePositiveInteger(params.get("extent"), "extent") : DEFAULT_EXTENT;
+      this.buffer = params.has("buffer") ? parseNonNegativeInteger(params.get("buffer"), "buffer") : DEFAULT_BUFFER;
+      this.clipGeom = params.has("clip_geom") ? parseBoolean(params.get("clip_geom"), "clip_geom") : true;
+
+      // Tile queries run concurrently on a pool of connections, by default
+      // one per CPU core
+      this.poolSize = params.has("pool_size")
+        ? parsePositiveInteger(params.get("pool_size"), "pool_size")
+        : os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+      this.queueLimit = params.has("queue_limit")
+        ? parseNonNegativeInteger(params.get("queue_limit"), "queue_limit")
+        : Infinity;
+
+      // Limits that keep one pathological tile from stalling the server
+      this.timeout = params.has("timeout") ? parsePositiveInteger(params.get("timeout"), "timeout") : null;
+      this.maxSize = params.has("max_size") ? parsePositiveInteger(params.get("max_size"), "max_size") : null;
+      this.oversize = params.get("oversize") || "error";
+
+      if (this.oversize !== "error" && this.oversize !== "truncate") {
+        throw new Error(`Invalid oversize: ${this.oversize} (must be error or truncate)`);
+      }
+
+      // Computing tilestats scans every attribute of every layer, so it is opt-in
+      this.tilestats = params.has("tilestats") ? parseBoolean(params.get("tilestats"), "tilestats") : false;
+
+      this.compression = parseCompression(params);
+
+      this.emptyTile = params.get("empty_tile") || "error";
+      if (!EMPTY_TILE_MODES.includes(this.emptyTile)) {
+        throw new Error(`Invalid empty_tile: ${this.emptyTile} (must be ${EMPTY_TILE_MODES.join(", ")})`);
+      }
+
+      this.cache = createCache(dbPath, params);
+
+      // Watched sources reload when their file is replaced or written to
+      this.watch = params.has("watch") ? parseBoolean(params.get("watch"), "watch") : false;
+      this.watchInterval = params.has("watch_interval")
+        ? parsePositiveInteger(params.get("watch_interval"), "watch_interval")
+        : DEFAULT_WATCH_INTERVAL;
+
+      if (this.watch && this.mode === "tiles") {
+        throw new Error("watch parameter is not supported for tile stores");
+      }
+
+      // Reloads start again from the layers as configured, before
+      // _initialize fills in what it finds in the database
+      this._layerSettings = structuredClone(this.layers);
+    } catch (err) {
+      return setImmediate(callback, err);
     }
 
-    this._initialize()
-      .then(() => callback(null, this))
-      .catch((err) => callback(err));
+    this._initialize().then(
+      () => {
+        if (this.mode === "features" && !params.has("layers")) {
+          // Single-table sources expose their only layer's settings directly
+          this.table = this.layers[0].table;
+          this.geometryColumn = this.layers[0].geometryColumn;
+          this.layerName = this.layers[0].layerName;
+        }
+
+        if (this.watch) {
+          this._watch();
+        }
+
+        // Outside the chain, so an error thrown by the callback isn't
+        // mistaken for a failed initialization
+        setImmediate(callback, null, this);
+      },
+      // Release the shared instance if initialization got that far
+      (err) => this.close(() => callback(err)),
+    );
   };
 
   DuckDBSource.prototype._initialize = async function () {
-    // Validate table name contains only safe characters (alphanumeric and underscore)
-    if (!/^[a-zA-Z0-9_]+$/.test(this.table)) {
-      throw new Error(`Invalid table name: ${this.table} (only alphanumeric and underscore allowed)`);
+    for (const layer of this.layers) {
+      // Validate geometry column name contains only safe characters
+      if (layer.geometryColumn) {
+        assertSafeIdentifier(layer.geometryColumn, "column name");
+      }
     }
 
-    // Validate geometry column name contains only safe characters
-    if (!/^[a-zA-Z0-9_]+$/.test(this.geometryColumn)) {
-      throw new Error(`Invalid column name: ${this.geometryColumn} (only alphanumeric and underscore allowed)`);
+    // The version of the file being opened, to tell when it changes
+    this._version = await this._fileVersion();
+
+    if (this.mode === "tiles") {
+      // Tile stores are created when they are first written to
+      this.accessMode = fs.existsSync(this.dbPath) ? "READ_ONLY" : "READ_WRITE";
+      this.instance = await instances.acquire(this.dbPath, {
+        access_mode: this.accessMode,
+      });
+      this.connection = await this.instance.connect();
+    } else if (this.parquet) {
+      this.instance = await DuckDBInstance.create(":memory:");
+      this.connection = await this.instance.connect();
+      await this.connection.run("LOAD spatial");
+      await this._attachParquet(this.layers[0]);
+    } else {
+      this.instance = await instances.acquire(this.dbPath, { access_mode: "READ_ONLY" }, this._version);
+      this.connection = await this.instance.connect();
+      await this.connection.run("LOAD spatial");
     }
 
-    this.instance = await DuckDBInstance.create(this.dbPath, {
-      access_mode: "READ_ONLY",
+    // this.connection serves metadata queries; tiles are rendered on the pool
+    this.pool = new ConnectionPool(this.instance, {
+      size: this.poolSize,
+      queueLimit: this.queueLimit,
     });
-    this.connection = await this.instance.connect();
-    await this.connection.run("LOAD spatial");
-
-    // Verify table exists in database
-    const tableCheckQuery = `
-      SELECT table_name
-      FROM information_schema.tables
-      WHERE table_name = ?
-    `;
-    const result = await this.connection.runAndReadAll(tableCheckQuery, [this.table]);
-    const rows = result.getRows();
 
-    if (rows.length === 0) {
-      throw new Error(`Table does not exist: ${this.table}`);
+    for (const layer of this.layers) {
+      layer.geometryColumn = layer.geometryColumn || "geometry";
+
+      if (layer.table) {
+        // Verify table exists in database
+        const tableCheckQuery = `
+          SELECT table_name
+          FROM information_schema.tables
+          WHERE table_catalog = coalesce(?, current_database())
+            AND table_schema = coalesce(?, current_schema())
+            AND table_name = ?
+        `;
+        const { catalog, schema, name } = layer.tableRef;
+        const result = await this.connection.runAndReadAll(tableCheckQuery, [catalog, schema, name]);
+        const rows = result.getRows();
+
+        if (rows.length === 0) {
+          throw new Error(`Table does not exist: ${layer.table}`);
+        }
+      }
+
+      // Verify geometry column exists in table (or query results)
+      const columns = await this._describeLayer(layer);
+      const geometry = columns.find((column) => column.name === layer.geometryColumn);
+
+      if (!geometry) {
+        throw new Error(`Geometry column does not exist: ${layer.geometryColumn}`);
+      }
+
+      if (layer.cluster) {
+        for (const aggregate of layer.cluster.aggregates) {
+          const column = columns.find((c) => c.name === aggregate.column);
+          if (!column) {
+            throw new Error(`Cluster aggregate column does not exist: ${aggregate.column}`);
+          }
+          aggregate.type = column.type;
+        }
+
+        if (layer.cluster.method === "h3") {
+          await this._loadH3();
+        }
+      }
+
+      if (layer.idColumn) {
+        const id = columns.find((column) => column.name === layer.idColumn);
+
+        if (!id) {
+          throw new Error(`ID column does not exist: ${layer.idColumn}`);
+        }
+
+        if (!layer.idHash && !INTEGER_TYPES.test(String(id.type).toUpperCase())) {
+          throw new Error(
+            `ID column must have an integer type: ${layer.idColumn} is ${id.type} (set id_hash=true to hash it)`
+          );
+        }
+      }
+
+      if (!layer.crs) {
+        // Geometry types that carry a CRS are reported as GEOMETRY('EPSG:4326')
+        const crsMatch = String(geometry.type).match(/^GEOMETRY\('(.+)'\)$/i);
+        layer.crs = crsMatch ? parseCrs(crsMatch[1]) : WEB_MERCATOR;
+      }
+
+      // Fail early on fields that don't exist
+      await this._getColumns(layer);
+    }
+  };
+
+  // Column names and types of a layer's table, or of its SQL query's results
+  DuckDBSource.prototype._describeLayer = async function (layer) {
+    if (layer.sql) {
+      const reader = await this.connection.runAndReadAll(
+        `DESCRIBE SELECT * FROM ${layerSource(layer, worldPlaceholders(layer))}`
+      );
+      return reader.getRows().map((r) => ({ name: r[0], type: r[1] }));
     }
 
-    // Verify geometry column exists in table
-    const columnCheckQuery = `
-      SELECT column_name
+    const columnsQuery = `
+      SELECT column_name, data_type
       FROM information_schema.columns
-      WHERE table_name = ? AND column_name = ?
+      WHERE table_catalog = coalesce(?, current_database())
+        AND table_schema = coalesce(?, current_schema())
+        AND table_name = ?
+      ORDER BY ordinal_position
     `;
-    const colResult = await this.connection.runAndReadAll(columnCheckQuery, [this.table, this.geometryColumn]);
-    const colRows = colResult.getRows();
+    const { catalog, schema, name } = layer.tableRef;
+    const reader = await this.connection.runAndReadAll(columnsQuery, [catalog, schema, name]);
+    return reader.getRows().map((r) => ({ name: r[0], type: r[1] }));
+  };
+
+  // H3 clustering needs the community h3 extension, which must already be
+  // installed since sources don't download extensions
+  DuckDBSource.prototype._loadH3 = async function () {
+    try {
+      await this.connection.run("LOAD h3");
+    } catch (err) {
+      throw new Error(`cluster_method=h3 requires the DuckDB h3 extension (${err.message})`);
+    }
+  };
+
+  // Expose a Parquet file or glob as a view named after the layer's table and
+  // apply defaults from its GeoParquet metadata, if any
+  DuckDBSource.prototype._attachParquet = async function (layer) {
+    await this.connection.run(
+      `CREATE VIEW ${qualifiedTableName(layer.tableRef)} AS SELECT * FROM read_parquet(${quoteLiteral(this.dbPath)})`
+    );
+
+    const reader = await this.connection.runAndReadAll(
+      `SELECT value FROM parquet_kv_metadata(${quoteLiteral(this.dbPath)}) WHERE key = 'geo' LIMIT 1`
+    );
+    const rows = reader.getRows();
+    if (rows.length === 0) {
+      return;
+    }
+
+    const geo = JSON.parse(Buffer.from(rows[0][0].bytes).toString("utf8"));
+    layer.geometryColumn = layer.geometryColumn || geo.primary_column;
+    assertSafeIdentifier(layer.geometryColumn, "column name");
+
+    const column = (geo.columns || {})[layer.geometryColumn];
+    if (!column) {
+      return;
+    }
 
-    if (colRows.length === 0) {
-      throw new Error(`Geometry column does not exist: ${this.geometryColumn}`);
+    layer.crs = layer.crs || geoParquetCrs(column);
+
+    // GeoParquet 1.1 bbox covering columns allow row groups to be skipped
+    const bbox = column.covering && column.covering.bbox;
+    if (bbox) {
+      layer.bboxColumns = {};
+      for (const key of ["xmin", "ymin", "xmax", "ymax"]) {
+        layer.bboxColumns[key] = bbox[key].map(quoteIdentifier).join(".");
+      }
     }
   };
 
   DuckDBSource.prototype.getInfo = function (callback) {
+    if (this.closed) {
+      return setImmediate(callback, closedError());
+    }
+
     if (this._info) {
       return setImmediate(callback, null, this._info);
     }
 
-    // Query bounds by transforming extent from EPSG:3857 to EPSG:4326
-    // Use always_xy to ensure longitude, latitude (X, Y) order
-    const query = `
-      SELECT
-        ST_XMin(extent) as minx,
-        ST_YMin(extent) as miny,
-        ST_XMax(extent) as maxx,
-        ST_YMax(extent) as maxy
-      FROM (
-        SELECT ST_Extent(ST_Transform(${this.geometryColumn}, 'EPSG:3857', 'EPSG:4326', always_xy := true)) as extent
-        FROM "${this.table}"
-      )
-    `;
-
-    this.connection
-      .runAndReadAll(query)
-      .then((reader) => {
-        const rows = reader.getRows();
+    if (this.mode === "tiles") {
+      const request = this._getStoredInfo()
+        .then((info) => {
+          this._info = info;
+          callback(null, this._info);
+        })
+        .catch((err) => callback(err));
 
-        if (rows.length === 0 || !rows[0]) {
-          throw new Error("No data found in table");
-        }
+      this._track(request);
+      return;
+    }
 
-        const row = rows[0];
+    // A reload can swap the state while the info is being computed, which
+    // would mix the bounds of one file with the layers of the other
+    const generation = this._generation;
 
-        // Check for null bounds (empty table or all NULL geometries)
-        if (row.some((v) => v === null || v === undefined)) {
+    const request = this._getBounds()
+      .then(async (bounds) => {
+        // Null bounds mean an empty table or all NULL geometries
+        if (!bounds) {
           throw new Error("Unable to calculate bounds - table may be empty or contain invalid geometry data");
         }
 
-        const bounds = [row[0], row[1], row[2], row[3]];
-
         // Calculate center from bounds
         const centerLon = (bounds[0] + bounds[2]) / 2;
         const centerLat = (bounds[1] + bounds[3]) / 2;
 
-        this._info = {
+        // Queries share a connection, so run them one layer at a time
+        const vectorLayers = [];
+        const layerStats = [];
+        for (const layer of this.layers) {
+          const columns = await this._getColumns(layer);
+          const geometryType = await this._getGeometryType(layer);
+
+          const fields = {};
+          for (const column of columns) {
+            fields[column.alias] = fieldType(column.type, layer.timestamps);
+          }
+
+          if (layer.cluster) {
+            fields.point_count = "Number";
+            for (const aggregate of layer.cluster.aggregates) {
+              fields[aggregate.alias] =
+                aggregate.fn === "min" || aggregate.fn === "max"
+                  ? fieldType(aggregate.type, layer.timestamps)
+                  : "Number";
+            }
+          }
+
+          vectorLayers.push({
+            id: layer.layerName,
+            minzoom: layer.minzoom,
+            maxzoom: layer.maxzoom,
+            geometry: geometryType,
+            fields: fields,
+          });
+
+          if (this.tilestats) {
+            layerStats.push(await this._getLayerTilestats(layer, geometryType));
+          }
+        }
+
+        const info = {
           bounds: bounds,
           center: [centerLon, centerLat, DEFAULT_CENTER_ZOOM],
-          minzoom: 0,
-          maxzoom: 14,
+          minzoom: Math.min(...this.layers.map((layer) => layer.minzoom)),
+          maxzoom: Math.max(...this.layers.map((layer) => layer.maxzoom)),
           format: "pbf",
-          vector_layers: [
-            {
-              id: this.layerName,
-              fields: {}, // Will be populated from actual tile data
-            },
-          ],
+          vector_layers: vectorLayers,
         };
-        callback(null, this._info);
-      })
-      .catch((err) => callback(err));
-  };
 
-  DuckDBSource.prototype.getTile = function (z, x, y, callback) {
-    const headers = {
-      "Content-Type": "application/vnd.mapbox-vector-tile",
-    };
+        if (this.tilestats) {
+          info.tilestats = {
+            layerCount: layerStats.length,
+            layers: layerStats,
+          };
+        }
+
+        return info;
+      })
+      // Start again from the reloaded state if it changed meanwhile
+      .then(
+        (info) => {
+          if (this._generation !== generation) {
+            return this.getInfo(callback);
+          }
+
+          this._info = info;
+          callback(null, this._info);
+        },
+        (err) => {
+          if (this._generation !== generation) {
+            return this.getInfo(callback);
+          }
+
+          callback(err);
+        },
+      );
+
+    this._track(request);
+  };
+
+  // [west, south, east, north] bounds of all layers in EPSG:4326, or null
+  // if they have no geometries. Computed once, and shared by getInfo and
+  // the bounds checks of getTile.
+  DuckDBSource.prototype._getBounds = function () {
+    if (this._bounds) {
+      return this._bounds;
+    }
+
+    // Compute the extent of each layer in its own CRS, transform it to
+    // EPSG:4326 and combine the results
+    // Use always_xy to ensure longitude, latitude (X, Y) order
+    const extentQueries = this.layers.map((layer) => {
+      const geometry = quoteIdentifier(layer.geometryColumn);
+      let extent = `ST_MakeEnvelope(
+        min(ST_XMin(${geometry})),
+        min(ST_YMin(${geometry})),
+        max(ST_XMax(${geometry})),
+        max(ST_YMax(${geometry}))
+      )`;
+      if (layer.crs !== WGS84) {
+        extent = `ST_Transform(${extent}, ${quoteLiteral(layer.crs)}, '${WGS84}', always_xy := true)`;
+      }
+
+      return `
+        SELECT ${extent} as extent
+        FROM ${layerSource(layer, worldPlaceholders(layer))}
+      `;
+    });
+
+    const query = `
+      SELECT
+        min(ST_XMin(extent)) as minx,
+        min(ST_YMin(extent)) as miny,
+        max(ST_XMax(extent)) as maxx,
+        max(ST_YMax(extent)) as maxy
+      FROM (${extentQueries.join(" UNION ALL ")})
+    `;
+
+    this._bounds = this.pool
+      .use((connection) => connection.runAndReadAll(query))
+      .then((reader) => {
+        const row = reader.getRows()[0];
+        return row.some((v) => v === null || v === undefined) ? null : row;
+      })
+      .catch((err) => {
+        // Try again on the next call
+        this._bounds = null;
+        throw err;
+      });
+
+    return this._bounds;
+  };
+
+  // Most common geometry type of a layer. Only a sample of its geometries
+  // is looked at, so that getInfo doesn't scan whole tables.
+  DuckDBSource.prototype._getGeometryType = async function (layer) {
+    const geometry = quoteIdentifier(layer.geometryColumn);
+    const query = `
+      SELECT ST_GeometryType(${geometry}) as type, count(*) as count
+      FROM (
+        SELECT ${geometry}
+        FROM ${layerSource(layer, worldPlaceholders(layer))}
+        WHERE ${geometry} IS NOT NULL
+        LIMIT ${GEOMETRY_TYPE_SAMPLE_SIZE}
+      )
+      GROUP BY 1
+    `;
+
+    const reader = await this.connection.runAndReadAll(query);
+    const counts = {};
+    for (const [type, typeCount] of reader.getRowsJS()) {
+      const geometryType = GEOMETRY_TYPES[String(type)];
+      if (geometryType) {
+        counts[geometryType] = (counts[geometryType] || 0) + Number(typeCount);
+      }
+    }
+
+    const types = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+    return types[0] || "Unknown";
+  };
+
+  // Mapbox-style tilestats for a layer: feature count, distinct value counts
+  // and up to MAX_TILESTATS_VALUES sample values per attribute, plus min/max
+  // of numbers
+  DuckDBSource.prototype._getLayerTilestats = async function (layer, geometryType) {
+    const columns = await this._getColumns(layer);
+    const source = layerSource(layer, worldPlaceholders(layer));
+    const expressions = columns.map((column) =>
+      propertyExpression(`t.${quoteIdentifier(column.name)}`, column.type, layer.timestamps)
+    );
+
+    // The feature count, then three aggregates per attribute
+    const aggregates = [`count(t.${quoteIdentifier(layer.geometryColumn)})`];
+    columns.forEach((column, i) => {
+      const numeric = fieldType(column.type, layer.timestamps) === "Number";
+      aggregates.push(
+        `count(DISTINCT ${expressions[i]})`,
+        numeric ? `min(${expressions[i]})` : "NULL",
+        numeric ? `max(${expressions[i]})` : "NULL"
+      );
+    });
+
+    const reader = await this.connection.runAndReadAll(`SELECT ${aggregates.join(", ")} FROM ${source} t`);
+    const [count, ...row] = reader.getRowsJS()[0].map(toJSValue);
+
+    const stats = {
+      layer: layer.layerName,
+      count: count,
+      geometry: geometryType,
+      attributeCount: columns.length,
+      attributes: [],
+    };
+
+    for (const [i, column] of columns.entries()) {
+      const [distinctCount, min, max] = row.slice(i * 3, i * 3 + 3);
+
+      // Sampled one attribute at a time with a limit, rather than listing
+      // every distinct value of a column and keeping the first of them
+      const values = await this.connection.runAndReadAll(`
+        SELECT DISTINCT ${expressions[i]}
+        FROM ${source} t
+        WHERE ${expressions[i]} IS NOT NULL
+        LIMIT ${MAX_TILESTATS_VALUES}
+      `);
+
+      const type = fieldType(column.type, layer.timestamps).toLowerCase();
+      const attribute = {
+        attribute: column.alias,
+        count: distinctCount,
+        type: type,
+        values: values.getRowsJS().map(([value]) => toJSValue(value)),
+      };
+
+      if (type === "number" && min !== null) {
+        attribute.min = min;
+        attribute.max = max;
+      }
+
+      stats.attributes.push(attribute);
+    }
+
+    return stats;
+  };
+
+  // options.params supplies values for the source's declared parameters
+  DuckDBSource.prototype.getTile = function (z, x, y, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+
+    if (this.closed) {
+      return setImmediate(callback, closedError());
+    }
+
+    // Tiles outside the grid don't exist, whatever the data
+    if (!isTile(z, x, y)) {
+      return setImmediate(callback, notFoundError());
+    }
+
+    if (this.mode === "tiles") {
+      const request = this._getStoredTile(z, x, y)
+        .then((data) => callback(null, data, storedTileHeaders(data)))
+        .catch((err) => callback(err));
+
+      this._track(request);
+      return;
+    }
+
+    const headers = {
+      "Content-Type": "application/vnd.mapbox-vector-tile",
+    };
+    if (this.compression.encoding) {
+      headers["Content-Encoding"] = this.compression.encoding;
+    }
+
+    let values;
+    try {
+      values = this._parameterValues(options.params || {});
+    } catch (err) {
+      return setImmediate(callback, err);
+    }
+
+    // Cached tiles are those of requests without parameters
+    const cached = this.cache && Object.values(values).every((value) => value === null);
+
+    const request = this._mayContainData(z, x, y)
+      .then((mayContainData) => {
+        if (!mayContainData) {
+          return Buffer.alloc(0);
+        }
+        return cached ? this._getCachedTile(z, x, y) : this._renderTile(z, x, y, values);
+      })
+      .then((data) => {
+        if (data.length > 0) {
+          return callback(null, data, headers);
+        }
+
+        switch (this.emptyTile) {
+          case "empty":
+            return callback(null, data, { "Content-Type": headers["Content-Type"] });
+          case "no_content":
+            return callback(null, data, {
+              "Content-Type": headers["Content-Type"],
+              "x-tilelive-contains-data": false,
+            });
+          default:
+            return callback(notFoundError());
+        }
+      })
+      .catch((err) => callback(err));
+
+    this._track(request);
+  };
+
+  // Values to bind for every declared parameter, null for those that were
+  // not supplied
+  DuckDBSource.prototype._parameterValues = function (supplied) {
+    for (const name of Object.keys(supplied)) {
+      if (!this.parameters.has(name)) {
+        throw new Error(`Unknown tile parameter: ${name}`);
+      }
+    }
+
+    const values = {};
+    for (const [name, type] of this.parameters) {
+      const value = supplied[name];
+      values[name] = value === undefined || value === null ? null : coerceParameter(name, type, value);
+    }
+    return values;
+  };
+
+  // Whether any layer may have features in tile z/x/y, judging by their
+  // zoom ranges and bounds, so that other tiles are answered without
+  // running a query
+  DuckDBSource.prototype._mayContainData = async function (z, x, y) {
+    if (!this.layers.some((layer) => z >= layer.minzoom && z <= layer.maxzoom)) {
+      return false;
+    }
+
+    const bounds = await this._getBounds();
+    if (!bounds) {
+      return false;
+    }
+
+    // Features in the buffer are drawn in the tile too; one more pixel
+    // absorbs rounding in the round trip through EPSG:4326
+    const [west, south, east, north] = tileBounds(z, x, y, (this.buffer + 1) / this.extent);
+    const [minX, minY] = toWebMercator(bounds[0], bounds[1]);
+    const [maxX, maxY] = toWebMercator(bounds[2], bounds[3]);
+
+    return west <= maxX && east >= minX && south <= maxY && north >= minY;
+  };
+
+  // Serve a tile from the cache, rendering and caching it on a miss. The
+  // cache is emptied whenever the database file changes.
+  DuckDBSource.prototype._getCachedTile = async function (z, x, y) {
+    const version = await this._fileVersion();
+
+    // A cache that can't be read counts as a miss; the tile is rendered and
+    // served anyway
+    const cached = await this.cache
+      .validate(version)
+      .then(() => this.cache.get(z, x, y))
+      .catch(() => null);
+    if (cached) {
+      return cached;
+    }
+
+    const generation = this._generation;
+    const data = await this._renderTile(z, x, y);
+
+    // Skip tiles rendered from data that changed while they were rendering,
+    // or from a database the source has since reloaded; a tile that can't be
+    // cached can still be served
+    if (this.cache.version === version && this._generation === generation) {
+      await this.cache.set(z, x, y, data).catch(() => {});
+    }
+
+    return data;
+  };
+
+  // Render tile z/x/y as a compressed MVT, with values for the parameters
+  // of its filters
+  DuckDBSource.prototype._renderTile = function (z, x, y, values = {}) {
+    // Layers are left out of tiles outside their zoom range
+    const layers = this.layers.filter((layer) => z >= layer.minzoom && z <= layer.maxzoom);
+
+    // Render on the pool of the database these layers were loaded from,
+    // even if the source reloads in the meantime
+    const pool = this.pool;
 
     // First, get column names (excluding geometry) for MVT properties
-    this._getColumns()
-      .then((propertyColumns) => {
-        // Build struct fields for ST_AsMVT
-        // ST_Reverse corrects polygon winding for tilelive-vector's strict MVT v2 validation
-        // (ST_AsMVTGeom's Y-axis flip from Web Mercator → tile coords reverses winding)
-        // ST_Extent converts GEOMETRY to BOX_2D type required by ST_AsMVTGeom
-        const geometryField = `"geometry": ST_Reverse(ST_AsMVTGeom(
-          t.${this.geometryColumn},
-          ST_Extent(ST_TileEnvelope(${z}, ${x}, ${y}))
-        ))`;
-
-        const propertyFields = propertyColumns.length > 0
-          ? ", " + propertyColumns.map((c) => `"${c}": t."${c}"`).join(", ")
-          : "";
-
-        const mvtQuery = `
-          SELECT ST_AsMVT({${geometryField}${propertyFields}}, '${this.layerName}') as mvt
-          FROM "${this.table}" t
-          WHERE ST_Intersects(t.${this.geometryColumn}, ST_TileEnvelope(${z}, ${x}, ${y}))
-        `;
+    return Promise.all(layers.map((layer) => this._getColumns(layer)))
+      .then((layerColumns) => {
+        if (layers.length === 0) {
+          return null;
+        }
+
+        // Include features within the buffer so they render across tile edges
+        const envelope = tileBounds(z, x, y, this.buffer / this.extent);
+
+        // Values of the parameters the query refers to; DuckDB rejects
+        // values for parameters that a statement doesn't have. Tile
+        // coordinates are bound too, so that the query of every tile at a
+        // zoom level is the same statement.
+        const bound = { __z: z, __x: x, __y: y };
+
+        // One scalar subquery per layer; each produces an encoded MVT layer
+        const layerQueries = layers.map((layer, i) => {
+          const propertyColumns = layerColumns[i];
+
+          // Generalization only applies below maxzoom, since clients overzoom
+          // maxzoom tiles and need their full detail
+          const generalize = z < layer.maxzoom;
+          const resolution = pixelResolution(z);
 
-        return this.connection.runAndReadAll(mvtQuery);
+          // Points are replaced by clusters up to cluster.maxzoom
+          const clustered = layer.cluster !== null && z <= layer.cluster.maxzoom;
+          const clusterSize = clustered ? layer.cluster.size * resolution : null;
+
+          // Geometries are reprojected on the fly; generalization works on
+          // the reprojected geometry so that tolerances are in EPSG:3857 units
+          const geometryColumn = `t.${quoteIdentifier(layer.geometryColumn)}`;
+          let projectedGeometry = geometryColumn;
+          if (layer.crs !== WEB_MERCATOR) {
+            projectedGeometry = `ST_Transform(${projectedGeometry}, ${quoteLiteral(layer.crs)}, '${WEB_MERCATOR}', always_xy := true)`;
+          }
+
+          let shape = projectedGeometry;
+          if (generalize && layer.simplify > 0) {
+            shape = `ST_SimplifyPreserveTopology(${shape}, ${layer.simplify * resolution})`;
+          }
+
+          // Clusters, and the other geometries passed through with them, are
+          // in EPSG:3857 already
+          const geometry = clustered ? geometryColumn : shape;
+
+          // Build struct fields for ST_AsMVT
+          // ST_Reverse corrects polygon winding for tilelive-vector's strict MVT v2 validation
+          // (ST_AsMVTGeom's Y-axis flip from Web Mercator → tile coords reverses winding)
+          // ST_Extent converts GEOMETRY to BOX_2D type required by ST_AsMVTGeom
+          const geometryField = `"geometry": ST_Reverse(ST_AsMVTGeom(
+            ${geometry},
+            ST_Extent(ST_TileEnvelope($__z, $__x, $__y)),
+            ${this.extent},
+            ${this.buffer},
+            ${this.clipGeom}
+          ))`;
+
+          // Layers have no feature ids at the zooms they are clustered at
+          let idField = "";
+          let idArguments = "";
+          if (layer.idColumn && !clustered) {
+            // ST_AsMVT takes ids as BIGINTs, whatever the integer type of
+            // the column
+            const column = `t.${quoteIdentifier(layer.idColumn)}`;
+            const id = layer.idHash ? `(hash(${column}) % ${MAX_SAFE_ID})::BIGINT` : `${column}::BIGINT`;
+            idField = `, ${quoteIdentifier(layer.idColumn)}: ${id}`;
+            idArguments = `, 'geometry', ${quoteLiteral(layer.idColumn)}`;
+          }
+
+          const properties = propertyColumns.map(
+            (c) => `${quoteIdentifier(c.alias)}: ${propertyExpression(`t.${quoteIdentifier(c.name)}`, c.type, layer.timestamps)}`
+          );
+          if (clustered) {
+            properties.push(`"point_count": t.point_count`);
+            for (const aggregate of layer.cluster.aggregates) {
+              const value = `t.${quoteIdentifier(aggregate.alias)}`;
+              properties.push(
+                `${quoteIdentifier(aggregate.alias)}: ${
+                  aggregate.fn === "min" || aggregate.fn === "max"
+                    ? propertyExpression(value, aggregate.type, layer.timestamps)
+                    : value
+                }`
+              );
+            }
+          }
+          const propertyFields = properties.length > 0 ? ", " + properties.join(", ") : "";
+
+          // Predicates from every filter whose zoom band includes z; their
+          // parameters are bound rather than inserted into the SQL
+          const filters = layer.filters.filter((filter) => z >= filter.minzoom && z <= filter.maxzoom);
+          const filterClauses = filters.map((filter) => `AND (${filter.predicate})`);
+          for (const filter of filters) {
+            for (const name of filter.parameters) {
+              bound[name] = values[name] ?? null;
+            }
+          }
+
+          // Drop polygons and lines too small to see at this zoom
+          if (generalize && layer.minArea > 0) {
+            filterClauses.push(
+              `AND (ST_Dimension(${geometryColumn}) <> 2 OR ST_Area(${projectedGeometry}) >= ${layer.minArea * resolution ** 2})`
+            );
+          }
+          if (generalize && layer.minLength > 0) {
+            filterClauses.push(
+              `AND (ST_Dimension(${geometryColumn}) <> 1 OR ST_Length(${projectedGeometry}) >= ${layer.minLength * resolution})`
+            );
+          }
+
+          // Compare against the raw column, with the tile envelope transformed
+          // into the source CRS, so that an R-tree index can still be used.
+          // Each layer binds its own envelope, since clusters need a larger one.
+          const bindEnvelope = (prefix, bounds) => {
+            const parameters = ["xmin", "ymin", "xmax", "ymax"].map((name) => `${prefix}${name}${i}`);
+            parameters.forEach((name, j) => {
+              bound[name] = bounds[j];
+            });
+            return envelopeSql(
+              parameters.map((name) => `$${name}`),
+              layer.crs
+            );
+          };
+          const layerEnvelope = clustered ? clusterBounds(envelope, clusterSize, layer.cluster.method) : envelope;
+          const tileEnvelope = bindEnvelope("__", layerEnvelope);
+
+          // Comparing bbox covering columns against bound values lets DuckDB
+          // prune Parquet row groups using their statistics
+          if (layer.bboxColumns) {
+            const bbox = layer.bboxColumns;
+            filterClauses.unshift(
+              `AND t.${bbox.xmax} >= ST_XMin(${tileEnvelope})`,
+              `AND t.${bbox.xmin} <= ST_XMax(${tileEnvelope})`,
+              `AND t.${bbox.ymax} >= ST_YMin(${tileEnvelope})`,
+              `AND t.${bbox.ymin} <= ST_YMax(${tileEnvelope})`
+            );
+          }
+
+          // Limiting rows before encoding stops the scan of a huge table once
+          // a tile has more features than it may contain
+          let limit = "";
+          if (layer.maxFeatures) {
+            limit = `LIMIT ${this.oversize === "truncate" ? layer.maxFeatures : layer.maxFeatures + 1}`;
+          }
+
+          let centroids = "";
+          if (clustered) {
+            centroids = `, ST_Centroid(${projectedGeometry}) AS __point`;
+            if (layer.cluster.method === "h3") {
+              let lnglat = geometryColumn;
+              if (layer.crs !== WGS84) {
+                lnglat = `ST_Transform(${lnglat}, ${quoteLiteral(layer.crs)}, '${WGS84}', always_xy := true)`;
+              }
+              centroids += `, ST_Centroid(${lnglat}) AS __lnglat`;
+            }
+          }
+
+          let features = `
+            SELECT *${centroids}
+            FROM ${layerSource(layer, { bbox: tileEnvelope, zoom: z, pixelWidth: resolution })} t
+            WHERE ST_Intersects(${geometryColumn}, ${tileEnvelope})
+              ${filterClauses.join(" ")}
+          `;
+          if (clustered) {
+            // Lines and polygons are left out of clusters, so they need only
+            // the envelope of the tile
+            const shapeEnvelope = bindEnvelope("__tile_", envelope);
+            features = clusterSql(layer, features, clusterSize, propertyColumns, shape, shapeEnvelope);
+          }
+
+          return `(
+            SELECT {
+              'tile': ST_AsMVT({${geometryField}${propertyFields}${idField}}, ${quoteLiteral(layer.layerName)}, ${this.extent}${idArguments}),
+              'features': count(*)
+            }
+            FROM (
+              ${features}
+              ${limit}
+            ) t
+          ) as layer${i}`;
+        });
+
+        const mvtQuery = `SELECT ${layerQueries.join(", ")}`;
+
+        return pool.use((connection) => this._runWithTimeout(connection, mvtQuery, bound));
       })
       .then((reader) => {
-        const rows = reader.getRows();
-        const blob = rows[0]?.[0];
-        // DuckDB returns blob as DuckDBBlobValue with bytes property
-        const mvtData = blob?.bytes || Buffer.alloc(0);
-
-        // Gzip compress for tilelive-vector compatibility
-        zlib.gzip(mvtData, (err, compressed) => {
-          if (err) return callback(err);
-          callback(null, compressed, headers);
+        // One { tile, features } struct per layer
+        const results = reader ? reader.getRows()[0].map((value) => value.entries) : [];
+
+        results.forEach((result, i) => {
+          const maxFeatures = layers[i].maxFeatures;
+          if (maxFeatures && Number(result.features) > maxFeatures) {
+            throw tooLargeError(`Layer ${layers[i].layerName} has more than ${maxFeatures} features in tile ${z}/${x}/${y}`);
+          }
         });
-      })
+
+        // DuckDB returns blobs as DuckDBBlobValue with bytes property
+        // Encoded MVT layers can be concatenated to form a single tile
+        const mvtData = Buffer.concat(
+          results
+            .filter((result) => result.tile?.bytes)
+            .map((result) => result.tile.bytes)
+        );
+
+        // Tiles without features are left empty rather than compressed
+        if (mvtData.length === 0) {
+          return mvtData;
+        }
+
+        if (this.maxSize && mvtData.length > this.maxSize) {
+          throw tooLargeError(`Tile ${z}/${x}/${y} is larger than ${this.maxSize} bytes (${mvtData.length} bytes)`);
+        }
+
+        return this.compression.compress(mvtData, this.compression.level);
+      });
+  };
+
+  // A stream of z/x/y lines naming every tile with data, for tilelive-copy's
+  // list scheme. Sparse tables are exported without visiting empty tiles.
+  DuckDBSource.prototype.createZXYStream = function () {
+    const stream = Readable.from(this._listTiles(), { objectMode: false });
+
+    // close() ends streams that their consumers have stopped reading
+    this._streams.add(stream);
+    stream.once("close", () => this._streams.delete(stream));
+
+    return stream;
+  };
+
+  DuckDBSource.prototype._listTiles = async function* () {
+    if (this.closed) {
+      throw closedError();
+    }
+
+    // List from the database the source has open now, and hand the
+    // connection back to its pool even if the source reloads meanwhile
+    const pool = this.pool;
+    const queries = this.mode === "tiles" ? [this._storedTilesQuery()] : this._tileListQueries();
+
+    let finish;
+    this._track(new Promise((resolve) => (finish = resolve)));
+
+    const connection = await pool.acquire();
+    try {
+      for (const query of queries) {
+        const result = await connection.stream(query);
+
+        for await (const rows of result.yieldRowsJs()) {
+          // Stop early rather than keep close() waiting
+          if (this.closed) {
+            throw closedError();
+          }
+          if (rows.length > 0) {
+            yield rows.map(([z, x, y]) => `${z}/${x}/${y}\n`).join("");
+          }
+        }
+      }
+    } finally {
+      pool.release(connection);
+      finish();
+    }
+  };
+
+  DuckDBSource.prototype._storedTilesQuery = function () {
+    // Rows are numbered from the south, as in MBTiles (TMS)
+    return `
+      SELECT zoom_level, tile_column, (1 << zoom_level) - 1 - tile_row
+      FROM ${qualifiedTableName(this.tilesTable)}
+      ORDER BY 1, 2, 3
+    `;
+  };
+
+  // One query per zoom level, listing the tiles that features of any layer
+  // intersect. Each feature is expanded to the tiles its bounding box
+  // covers, and those are checked against the geometry itself when there
+  // are several of them. Tiles count as covered out to their buffer, since
+  // getTile draws the features there too.
+  DuckDBSource.prototype._tileListQueries = function () {
+    const minzoom = Math.min(...this.layers.map((layer) => layer.minzoom));
+    const maxzoom = Math.max(...this.layers.map((layer) => layer.maxzoom));
+
+    const queries = [];
+    for (let z = minzoom; z <= maxzoom; z++) {
+      const layers = this.layers.filter((layer) => z >= layer.minzoom && z <= layer.maxzoom);
+      if (layers.length === 0) {
+        continue;
+      }
+
+      const size = WEB_MERCATOR_WORLD_SIZE / 2 ** z;
+      const origin = WEB_MERCATOR_WORLD_SIZE / 2;
+      const lastTile = 2 ** z - 1;
+      const margin = (size * this.buffer) / this.extent;
+
+      const layerQueries = layers.map((layer) => {
+        let geometry = `t.${quoteIdentifier(layer.geometryColumn)}`;
+        if (layer.crs !== WEB_MERCATOR) {
+          geometry = `ST_Transform(${geometry}, ${quoteLiteral(layer.crs)}, '${WEB_MERCATOR}', always_xy := true)`;
+        }
+
+        // Filters with parameters depend on the request, so tiles are listed
+        // as if they were not set
+        const filterClauses = layer.filters
+          .filter((filter) => z >= filter.minzoom && z <= filter.maxzoom && filter.parameters.length === 0)
+          .map((filter) => `AND (${filter.predicate})`);
+
+        const placeholders = {
+          bbox: envelopeSql(tileBounds(0, 0, 0), layer.crs),
+          zoom: z,
+          pixelWidth: pixelResolution(z),
+        };
+
+        return `
+          SELECT
+            geometry,
+            greatest(floor((ST_XMin(geometry) - ${margin} + ${origin}) / ${size}), 0)::BIGINT AS x0,
+            least(floor((ST_XMax(geometry) + ${margin} + ${origin}) / ${size}), ${lastTile})::BIGINT AS x1,
+            greatest(floor((${origin} - ST_YMax(geometry) - ${margin}) / ${size}), 0)::BIGINT AS y0,
+            least(floor((${origin} - ST_YMin(geometry) + ${margin}) / ${size}), ${lastTile})::BIGINT AS y1
+          FROM (
+            SELECT ${geometry} AS geometry
+            FROM ${layerSource(layer, placeholders)} t
+            WHERE t.${quoteIdentifier(layer.geometryColumn)} IS NOT NULL
+              ${filterClauses.join(" ")}
+          )
+        `;
+      });
+
+      queries.push(`
+        SELECT DISTINCT ${z} AS z, x, y
+        FROM (${layerQueries.join(" UNION ALL ")}) f,
+          range(f.x0, f.x1 + 1) xs(x),
+          range(f.y0, f.y1 + 1) ys(y)
+        WHERE (f.x0 = f.x1 AND f.y0 = f.y1)
+          OR ST_Intersects(f.geometry, ST_MakeEnvelope(
+            x * ${size} - ${origin} - ${margin},
+            ${origin} - (y + 1) * ${size} - ${margin},
+            (x + 1) * ${size} - ${origin} + ${margin},
+            ${origin} - y * ${size} + ${margin}
+          ))
+        ORDER BY x, y
+      `);
+    }
+
+    return queries;
+  };
+
+  // Drop cached tiles intersecting bbox ([west, south, east, north] in
+  // EPSG:4326) at the given zooms. Both are optional and default to
+  // everything.
+  DuckDBSource.prototype.invalidate = function (bbox, zooms, callback) {
+    if (typeof bbox === "function") {
+      callback = bbox;
+      bbox = null;
+      zooms = null;
+    } else if (typeof zooms === "function") {
+      callback = zooms;
+      zooms = null;
+    }
+
+    if (!this.cache) {
+      return setImmediate(callback);
+    }
+
+    const ranges = new Map();
+    const filter = (z, x, y) => {
+      if (zooms && !zooms.includes(z)) {
+        return false;
+      }
+      if (!bbox) {
+        return true;
+      }
+      if (!ranges.has(z)) {
+        ranges.set(z, tileRange(bbox, z));
+      }
+      const range = ranges.get(z);
+      return x >= range.minX && x <= range.maxX && y >= range.minY && y <= range.maxY;
+    };
+
+    this.cache
+      .invalidate(filter)
+      .then(() => callback())
       .catch((err) => callback(err));
   };
 
-  DuckDBSource.prototype._getColumns = async function () {
-    if (this._columns) {
-      return this._columns;
+  // Open the database file again and swap in its layers, columns, bounds
+  // and info. Concurrent calls share one reload.
+  DuckDBSource.prototype.reload = function (callback) {
+    if (this.closed) {
+      return setImmediate(callback, closedError());
     }
 
-    const columnsQuery = `
-      SELECT column_name
-      FROM information_schema.columns
-      WHERE table_name = '${this.table}'
-        AND column_name != '${this.geometryColumn}'
+    if (this.mode === "tiles") {
+      return setImmediate(callback, new Error("reload is not supported for tile stores"));
+    }
+
+    if (!this._reloading) {
+      this._reloading = this._reload().finally(() => {
+        this._reloading = null;
+      });
+      this._track(this._reloading);
+    }
+
+    this._reloading.then(() => callback()).catch((err) => callback(err));
+  };
+
+  DuckDBSource.prototype._reload = async function () {
+    // Load the new state on a stand-in that shares this source's settings.
+    // Until the swap below, requests keep being served from the old state.
+    const next = Object.create(this);
+    next.layers = structuredClone(this._layerSettings);
+    for (const key of RELOADED_STATE.filter((key) => key !== "layers")) {
+      next[key] = null;
+    }
+
+    try {
+      await next._initialize();
+      await next._getBounds();
+
+      // Info is computed ahead of the swap where possible; sources that
+      // can't compute it (an empty table) report the error on getInfo
+      await promisify(next.getInfo.bind(next))().catch(() => {});
+
+      if (this.closed) {
+        throw closedError();
+      }
+    } catch (err) {
+      next._release();
+      throw err;
+    }
+
+    // Swap in one step, so that each request sees either the old state or
+    // the new one. Requests already in flight finish on the old instance,
+    // which is released once they have.
+    const old = Object.create(this);
+    for (const key of RELOADED_STATE) {
+      old[key] = this[key];
+      this[key] = next[key];
+    }
+    if (this.geometryColumn !== undefined) {
+      this.geometryColumn = this.layers[0].geometryColumn;
+    }
+    this._generation++;
+
+    const inFlight = [...this._pending].filter((request) => request !== this._reloading);
+    this._track(Promise.allSettled(inFlight).then(() => old._release()));
+
+    // Tiles cached while the file was changing may come from the old data
+    if (this.cache) {
+      await this.cache.invalidate(() => true);
+    }
+  };
+
+  // Check the file every watchInterval milliseconds and reload when it has
+  // changed. A reload that fails, such as of a file that is still being
+  // written, is tried again once the file changes again, while the old data
+  // is served. Its error is kept in reloadError until a reload succeeds.
+  DuckDBSource.prototype._watch = function () {
+    let failedVersion = null;
+
+    this._watcher = setInterval(() => {
+      if (this._reloading) {
+        return;
+      }
+
+      this._fileVersion()
+        .then((version) => {
+          if (version === null || version === this._version || version === failedVersion || this.closed) {
+            return;
+          }
+
+          this.reload((err) => {
+            failedVersion = err ? version : null;
+            this.reloadError = err || null;
+          });
+        })
+        .catch(() => {});
+    }, this.watchInterval);
+
+    // Watching doesn't keep the process alive
+    this._watcher.unref();
+  };
+
+  // Identity of the file at dbPath, which changes when the file is written
+  // to or replaced, or null if it can't be read (for example a Parquet
+  // glob). DuckDB writes go to the WAL until they are checkpointed, so its
+  // size and modification time count too.
+  DuckDBSource.prototype._fileVersion = async function () {
+    const [file, wal] = await Promise.all(
+      [this.dbPath, `${this.dbPath}.wal`].map((file) => fs.promises.stat(file).catch(() => null))
+    );
+    if (!file) {
+      return null;
+    }
+
+    const version = `${file.dev}:${file.ino}:${file.size}:${file.mtimeMs}`;
+    return wal ? `${version}:${wal.size}:${wal.mtimeMs}` : version;
+  };
+
+  // Run a query as a prepared statement with values bound to its
+  // parameters, interrupting it if it takes longer than the source's timeout
+  DuckDBSource.prototype._runWithTimeout = async function (connection, sql, values = {}) {
+    let timedOut = false;
+    const timer = this.timeout
+      ? setTimeout(() => {
+          timedOut = true;
+          connection.interrupt();
+        }, this.timeout)
+      : null;
+
+    try {
+      const statement = await this._prepare(connection, sql);
+      statement.bind(values);
+      return await statement.runAndReadAll();
+    } catch (err) {
+      throw timedOut ? timeoutError(this.timeout) : err;
+    } finally {
+      clearTimeout(timer);
+    }
+  };
+
+  // The statement prepared for sql on connection, preparing it on first use.
+  // Tile queries only differ by zoom level, their coordinates being bound,
+  // so each connection keeps at most one statement per zoom level and tiles
+  // skip parsing and binding their query.
+  DuckDBSource.prototype._prepare = async function (connection, sql) {
+    let statements = this._statements.get(connection);
+    if (!statements) {
+      statements = new Map();
+      this._statements.set(connection, statements);
+    }
+
+    let statement = statements.get(sql);
+    if (!statement) {
+      statement = await connection.prepare(sql);
+      statements.set(sql, statement);
+    }
+    return statement;
+  };
+
+  // Columns to encode as MVT properties, as { name, type, alias }
+  DuckDBSource.prototype._getColumns = async function (layer) {
+    if (!this._columns) {
+      this._columns = new Map();
+    }
+
+    if (this._columns.has(layer.layerName)) {
+      return this._columns.get(layer.layerName);
+    }
+
+    const described = (await this._describeLayer(layer))
+      .filter((column) => column.name !== layer.geometryColumn);
+
+    let columns;
+    if (layer.fields) {
+      columns = layer.fields.map((field) => {
+        if (field.name === layer.idColumn) {
+          throw new Error(`Field ${field.name} is the feature id and cannot also be a property`);
+        }
+
+        const column = described.find((c) => c.name === field.name);
+        if (!column) {
+          throw new Error(`Field does not exist: ${field.name}`);
+        }
+        return { name: column.name, type: column.type, alias: field.alias };
+      });
+    } else {
+      // The feature id is encoded separately
+      columns = described
+        .filter((column) => column.name !== layer.idColumn)
+        .filter((column) => !layer.exclude.includes(column.name))
+        .filter((column) => !OPAQUE_TYPES.test(String(column.type).toUpperCase()))
+        .map((column) => ({ name: column.name, type: column.type, alias: column.name }));
+    }
+
+    this._columns.set(layer.layerName, columns);
+    return columns;
+  };
+
+  DuckDBSource.prototype._getStoredTile = async function (z, x, y) {
+    const query = `
+      SELECT tile_data
+      FROM ${qualifiedTableName(this.tilesTable)}
+      WHERE zoom_level = $1 AND tile_column = $2 AND tile_row = $3
     `;
 
-    const reader = await this.connection.runAndReadAll(columnsQuery);
+    // Rows are numbered from the south, as in MBTiles (TMS)
+    const reader = await this.pool.use((connection) => connection.runAndReadAll(query, [z, x, 2 ** z - 1 - y]));
     const rows = reader.getRows();
-    this._columns = rows.map((r) => r[0]);
-    return this._columns;
+
+    if (rows.length === 0 || !rows[0][0]) {
+      throw notFoundError();
+    }
+
+    return Buffer.from(rows[0][0].bytes);
   };
 
-  DuckDBSource.prototype.close = function (callback) {
-    try {
-      if (this.connection) {
-        this.connection.closeSync();
-        this.connection = null;
+  // Info from the metadata table, following the MBTiles conventions. Zoom
+  // levels missing from the metadata are taken from the stored tiles. The
+  // source's own connection may be busy writing, so this runs on the pool.
+  DuckDBSource.prototype._getStoredInfo = async function () {
+    return this.pool.use((connection) => this._readStoredInfo(connection));
+  };
+
+  DuckDBSource.prototype._readStoredInfo = async function (connection) {
+    const reader = await connection.runAndReadAll(
+      `SELECT name, value FROM ${qualifiedTableName(this.metadataTable)}`
+    );
+
+    const info = {};
+    for (const [name, value] of reader.getRows()) {
+      if (value === null) {
+        continue;
       }
-      if (this.instance) {
-        this.instance = null;
+
+      if (name === "json") {
+        Object.assign(info, JSON.parse(value));
+      } else if (name === "bounds" || name === "center") {
+        info[name] = value.split(",").map(Number);
+      } else if (name === "minzoom" || name === "maxzoom") {
+        info[name] = Number(value);
+      } else {
+        info[name] = value;
       }
-      return callback && setImmediate(callback);
+    }
+
+    if (info.minzoom === undefined || info.maxzoom === undefined) {
+      const zooms = await connection.runAndReadAll(
+        `SELECT min(zoom_level), max(zoom_level) FROM ${qualifiedTableName(this.tilesTable)}`
+      );
+      const [minzoom, maxzoom] = zooms.getRows()[0];
+
+      if (minzoom === null) {
+        throw new Error("No tiles found in table");
+      }
+
+      info.minzoom = info.minzoom ?? minzoom;
+      info.maxzoom = info.maxzoom ?? maxzoom;
+    }
+
+    return info;
+  };
+
+  // Prepare a tile store for writing, reopening it read-write if necessary
+  // and creating its tables
+  DuckDBSource.prototype.startWriting = function (callback) {
+    if (this.closed) {
+      return setImmediate(callback, closedError());
+    }
+
+    if (this.mode !== "tiles") {
+      return setImmediate(callback, new Error("Only tile stores (mode=tiles) can be written to"));
+    }
+
+    // Requests in flight on a read-only instance finish before it is closed
+    const request = Promise.allSettled([...this._pending])
+      .then(() => this._openForWriting())
+      .then(() => {
+        this._writeBatch = [];
+        this._writeQueue = Promise.resolve();
+        this._writeError = null;
+
+        return this.connection.run(`
+          CREATE TABLE IF NOT EXISTS ${qualifiedTableName(this.tilesTable)} (
+            zoom_level INTEGER NOT NULL,
+            tile_column INTEGER NOT NULL,
+            tile_row INTEGER NOT NULL,
+            tile_data BLOB,
+            PRIMARY KEY (zoom_level, tile_column, tile_row)
+          );
+          CREATE TABLE IF NOT EXISTS ${qualifiedTableName(this.metadataTable)} (
+            name VARCHAR PRIMARY KEY,
+            value VARCHAR
+          );
+        `);
+      })
+      .then(() => callback())
+      .catch((err) => callback(err));
+
+    this._track(request);
+  };
+
+  DuckDBSource.prototype._openForWriting = async function () {
+    if (this.accessMode === "READ_WRITE") {
+      return;
+    }
+
+    // Other instances of the file wouldn't see the writes, and could read
+    // it while it changes under them, so it must not be open anywhere else
+    if (instances.isShared(this.dbPath, this.instance)) {
+      throw new Error(`Tile store ${this.dbPath} is open in other sources and can't be written to`);
+    }
+
+    // DuckDB can't open a file read-write while it is open read-only, so
+    // the read-only instance is closed first. Requests made in the meantime
+    // fail on its closed pool.
+    this.pool.close();
+    this.connection.closeSync();
+    instances.release(this.instance);
+    this.connection = null;
+    this.instance = null;
+
+    let error = null;
+    let instance;
+    try {
+      instance = await instances.acquire(this.dbPath, { access_mode: "READ_WRITE" });
     } catch (err) {
-      return callback && setImmediate(callback, err);
+      // Such as when another process holds the file's lock; the store goes
+      // on serving reads
+      error = err;
+      instance = await instances.acquire(this.dbPath, { access_mode: "READ_ONLY" });
+    }
+
+    this.accessMode = error ? "READ_ONLY" : "READ_WRITE";
+    this.instance = instance;
+    this.connection = await instance.connect();
+    this.pool = new ConnectionPool(instance, {
+      size: this.poolSize,
+      queueLimit: this.queueLimit,
+    });
+
+    if (error) {
+      throw error;
+    }
+  };
+
+  // Tiles are buffered and inserted in batches. The callback waits for the
+  // insert when this tile completes a batch, which holds back writers that
+  // are faster than the database.
+  DuckDBSource.prototype.putTile = function (z, x, y, data, callback) {
+    if (this.closed) {
+      return setImmediate(callback, closedError());
+    }
+
+    if (!this._writeQueue) {
+      return setImmediate(callback, new Error("startWriting must be called before putTile"));
+    }
+
+    if (!isTile(z, x, y)) {
+      return setImmediate(callback, new Error(`Invalid tile coordinates: ${z}/${x}/${y}`));
+    }
+
+    if (this._writeError) {
+      return setImmediate(callback, this._writeError);
+    }
+
+    // Rows are numbered from the south, as in MBTiles (TMS)
+    this._writeBatch.push({ z, x, row: 2 ** z - 1 - y, data });
+
+    if (this._writeBatch.length < WRITE_BATCH_SIZE) {
+      return setImmediate(callback);
+    }
+
+    this._flushTiles()
+      .then(() => callback())
+      .catch((err) => callback(err));
+  };
+
+  // Store info in the metadata table, following the MBTiles conventions
+  DuckDBSource.prototype.putInfo = function (info, callback) {
+    if (this.closed) {
+      return setImmediate(callback, closedError());
+    }
+
+    if (!this._writeQueue) {
+      return setImmediate(callback, new Error("startWriting must be called before putInfo"));
+    }
+
+    const rows = [];
+    const json = {};
+    for (const [name, value] of Object.entries(info)) {
+      if (value === null || value === undefined) {
+        continue;
+      }
+
+      if (JSON_METADATA.has(name)) {
+        json[name] = value;
+      } else if (Array.isArray(value)) {
+        rows.push([name, value.join(",")]);
+      } else if (typeof value === "object") {
+        json[name] = value;
+      } else {
+        rows.push([name, String(value)]);
+      }
+    }
+
+    if (Object.keys(json).length > 0) {
+      rows.push(["json", JSON.stringify(json)]);
+    }
+
+    this._write(async (connection) => {
+      const statement = await connection.prepare(
+        `INSERT OR REPLACE INTO ${qualifiedTableName(this.metadataTable)} (name, value) VALUES ($1, $2)`
+      );
+      for (const row of rows) {
+        statement.bind(row);
+        await statement.run();
+      }
+    })
+      .then(() => callback())
+      .catch((err) => callback(err));
+  };
+
+  // Insert the remaining tiles and wait for every write to finish
+  DuckDBSource.prototype.stopWriting = function (callback) {
+    if (!this._writeQueue) {
+      return setImmediate(callback, new Error("startWriting must be called before stopWriting"));
+    }
+
+    this._flushTiles()
+      .then(() => this._write((connection) => connection.run("CHECKPOINT")))
+      .then(() => callback())
+      .catch((err) => callback(err));
+  };
+
+  DuckDBSource.prototype._flushTiles = function () {
+    const batch = this._writeBatch.splice(0);
+    if (batch.length === 0) {
+      return this._write(() => {});
+    }
+
+    return this._write(async (connection) => {
+      await connection.run("BEGIN TRANSACTION");
+      try {
+        const statement = await connection.prepare(`
+          INSERT OR REPLACE INTO ${qualifiedTableName(this.tilesTable)}
+            (zoom_level, tile_column, tile_row, tile_data)
+          VALUES ($1, $2, $3, $4)
+        `);
+        for (const tile of batch) {
+          statement.bind([tile.z, tile.x, tile.row, blobValue(tile.data)]);
+          await statement.run();
+        }
+        await connection.run("COMMIT");
+      } catch (err) {
+        await connection.run("ROLLBACK").catch(() => {});
+        throw err;
+      }
+    });
+  };
+
+  // Writes run one at a time, in order, on the source's own connection.
+  // Once one fails, the rest fail with the same error.
+  DuckDBSource.prototype._write = function (fn) {
+    const write = this._writeQueue.then(() => {
+      if (this._writeError) {
+        throw this._writeError;
+      }
+      return fn(this.connection);
+    });
+
+    this._writeQueue = write.catch((err) => {
+      this._writeError = this._writeError || err;
+    });
+    this._track(this._writeQueue);
+
+    return write;
+  };
+
+  // Track an in-flight request so that close() can wait for it
+  DuckDBSource.prototype._track = function (request) {
+    this._pending.add(request);
+    const untrack = () => this._pending.delete(request);
+    request.then(untrack, untrack);
+  };
+
+  // Refuse new requests, wait for in-flight ones, then release connections
+  // and the instance. Safe to call more than once; a close that failed
+  // part-way through retries whatever is left.
+  DuckDBSource.prototype.close = function (callback) {
+    this.closed = true;
+    clearInterval(this._watcher);
+
+    for (const stream of this._streams) {
+      stream.destroy();
+    }
+
+    Promise.allSettled([...this._pending])
+      .then(() => this._release())
+      .then(
+        () => callback && callback(),
+        (err) => callback && callback(err)
+      );
+  };
+
+  DuckDBSource.prototype._release = function () {
+    if (this.pool) {
+      this.pool.close();
+      this.pool = null;
+    }
+    if (this.connection) {
+      this.connection.closeSync();
+      this.connection = null;
+    }
+    if (this.instance) {
+      // Database files are shared with other sources; Parquet sources have
+      // in-memory instances of their own
+      if (this.parquet) {
+        this.instance.closeSync();
+      } else {
+        instances.release(this.instance);
+      }
+      this.instance = null;
     }
   };
 
@@ -0,0 +1,110 @@
+"use strict";
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const VERSION_FILE = "version";
+
+// A cache of encoded tiles in a directory, laid out as z/x/y.pbf. The data
+// version is kept in a file alongside the tiles, so that tiles cached by an
+// earlier process are discarded if the data has changed since.
+const DiskCache = function (dir) {
+  this.dir = dir;
+  this.version = undefined;
+
+  // Reads and writes wait for the latest version check to finish
+  this.ready = Promise.resolve();
+};
+
+DiskCache.prototype.validate = function (version) {
+  if (version !== this.version) {
+    this.version = version;
+
+    // A failed check doesn't hold up later ones; forgetting the version
+    // makes the next call try again
+    this.ready = this.ready
+      .catch(() => {})
+      .then(() => this._sync(version))
+      .catch((err) => {
+        if (this.version === version) {
+          this.version = undefined;
+        }
+        throw err;
+      });
+  }
+  return this.ready;
+};
+
+DiskCache.prototype._sync = async function (version) {
+  const versionFile = path.join(this.dir, VERSION_FILE);
+  const stored = await fs.promises.readFile(versionFile, "utf8").catch(() => null);
+
+  if (stored !== JSON.stringify(version)) {
+    await this.clear();
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.writeFile(versionFile, JSON.stringify(version));
+  }
+};
+
+DiskCache.prototype.get = async function (z, x, y) {
+  await this.ready;
+
+  try {
+    return await fs.promises.readFile(this._path(z, x, y));
+  } catch (err) {
+    if (err.code === "ENOENT") {
+      return null;
+    }
+    throw err;
+  }
+};
+
+DiskCache.prototype.set = async function (z, x, y, data) {
+  await this.ready;
+
+  // Write to a temporary file first so that readers never see half a tile
+  const file = this._path(z, x, y);
+  const tmp = `${file}.${crypto.randomBytes(6).toString("hex")}.tmp`;
+
+  await fs.promises.mkdir(path.dirname(file), { recursive: true });
+  await fs.promises.writeFile(tmp, data);
+  await fs.promises.rename(tmp, file);
+};
+
+// Remove every tile for which filter(z, x, y) returns true
+DiskCache.prototype.invalidate = async function (filter) {
+  await this.ready;
+
+  for (const z of await this._list(this.dir)) {
+    for (const x of await this._list(path.join(this.dir, String(z)))) {
+      const column = path.join(this.dir, String(z), String(x));
+      const files = await fs.promises.readdir(column).catch(() => []);
+
+      for (const file of files) {
+        const match = file.match(/^(\d+)\.pbf$/);
+        if (match && filter(z, x, Number(match[1]))) {
+          await fs.promises.rm(path.join(column, file), { force: true });
+        }
+      }
+    }
+  }
+};
+
+DiskCache.prototype.clear = async function () {
+  for (const z of await this._list(this.dir)) {
+    await fs.promises.rm(path.join(this.dir, String(z)), { recursive: true, force: true });
+  }
+};
+
+// Numeric entries of a directory, which may not exist yet
+DiskCache.prototype._list = async function (dir) {
+  const entries = await fs.promises.readdir(dir).catch(() => []);
+  return entries.filter((entry) => /^\d+$/.test(entry)).map(Number);
+};
+
+DiskCache.prototype._path = function (z, x, y) {
+  return path.join(this.dir, String(z), String(x), `${y}.pbf`);
+};
+
+module.exports = DiskCache;
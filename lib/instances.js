@@ -0,0 +1,75 @@
+"use strict";
+
+const { DuckDBInstance } = require("@duckdb/node-api");
+
+// Process-wide cache of DuckDB instances keyed by path and options, so that
+// sources opened on the same database file share one instance (and buffer
+// pool). Instances are reference counted and closed when released by their
+// last user. Instances are also keyed by the version of the file they were
+// opened on, so that a source reloading a changed file opens it as it is now
+// instead of sharing the instance still open on the old one.
+const InstanceCache = function () {
+  this.entries = new Map();
+};
+
+InstanceCache.prototype.acquire = async function (dbPath, options = {}, version = null) {
+  const key = JSON.stringify([dbPath, options, version]);
+  let entry = this.entries.get(key);
+
+  if (!entry) {
+    entry = {
+      dbPath,
+      refs: 0,
+      instance: null,
+      ready: DuckDBInstance.create(dbPath, options),
+    };
+    this.entries.set(key, entry);
+  }
+
+  entry.refs++;
+
+  try {
+    entry.instance = await entry.ready;
+    return entry.instance;
+  } catch (err) {
+    // Don't cache failures; the next acquire tries again
+    entry.refs--;
+    if (this.entries.get(key) === entry) {
+      this.entries.delete(key);
+    }
+    throw err;
+  }
+};
+
+// Returns true if this was the last reference and the instance was closed
+InstanceCache.prototype.release = function (instance) {
+  for (const [key, entry] of this.entries) {
+    if (entry.instance !== instance) {
+      continue;
+    }
+
+    entry.refs--;
+    if (entry.refs > 0) {
+      return false;
+    }
+
+    this.entries.delete(key);
+    instance.closeSync();
+    return true;
+  }
+
+  throw new Error("Instance was not acquired from this cache");
+};
+
+// Whether dbPath is open anywhere but in one use of instance: by other
+// users of instance, or in other instances
+InstanceCache.prototype.isShared = function (dbPath, instance) {
+  for (const entry of this.entries.values()) {
+    if (entry.dbPath === dbPath && (entry.instance !== instance || entry.refs > 1)) {
+      return true;
+    }
+  }
+  return false;
+};
+
+module.exports = InstanceCache;
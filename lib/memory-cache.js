@@ -0,0 +1,79 @@
+"use strict";
+
+const DEFAULT_MAX_SIZE = 64 * 1024 * 1024;
+
+// An in-memory LRU cache of encoded tiles, holding at most maxSize bytes.
+// Entries are tagged with a data version; validating against a different
+// version empties the cache.
+const MemoryCache = function (options = {}) {
+  this.maxSize = options.maxSize || DEFAULT_MAX_SIZE;
+  this.size = 0;
+  this.version = undefined;
+
+  // Maps iterate in insertion order, so re-inserting an entry on every hit
+  // keeps the least recently used one first
+  this.entries = new Map();
+};
+
+MemoryCache.prototype.validate = async function (version) {
+  if (version !== this.version) {
+    this.clear();
+    this.version = version;
+  }
+};
+
+MemoryCache.prototype.get = async function (z, x, y) {
+  const key = `${z}/${x}/${y}`;
+  const data = this.entries.get(key);
+  if (data === undefined) {
+    return null;
+  }
+
+  this.entries.delete(key);
+  this.entries.set(key, data);
+  return data;
+};
+
+MemoryCache.prototype.set = async function (z, x, y, data) {
+  const key = `${z}/${x}/${y}`;
+  this._delete(key);
+
+  if (data.length > this.maxSize) {
+    return;
+  }
+
+  this.entries.set(key, data);
+  this.size += data.length;
+
+  for (const oldest of this.entries.keys()) {
+    if (this.size <= this.maxSize) {
+      break;
+    }
+    this._delete(oldest);
+  }
+};
+
+// Remove every entry for which filter(z, x, y) returns true
+MemoryCache.prototype.invalidate = async function (filter) {
+  for (const key of [...this.entries.keys()]) {
+    const [z, x, y] = key.split("/").map(Number);
+    if (filter(z, x, y)) {
+      this._delete(key);
+    }
+  }
+};
+
+MemoryCache.prototype.clear = function () {
+  this.entries.clear();
+  this.size = 0;
+};
+
+MemoryCache.prototype._delete = function (key) {
+  const data = this.entries.get(key);
+  if (data !== undefined) {
+    this.entries.delete(key);
+    this.size -= data.length;
+  }
+};
+
+module.exports = MemoryCache;
@@ -0,0 +1,92 @@
+"use strict";
+
+// A pool of connections to one DuckDBInstance. Connections are opened on
+// demand, up to size at a time; requests beyond that wait in a queue of at
+// most queueLimit entries.
+const ConnectionPool = function (instance, options = {}) {
+  this.instance = instance;
+  this.size = options.size || 1;
+  this.queueLimit = options.queueLimit ?? Infinity;
+
+  this.connections = [];
+  this.idle = [];
+  this.waiting = [];
+  this.opening = 0;
+  this.closed = false;
+};
+
+ConnectionPool.prototype.acquire = async function () {
+  if (this.closed) {
+    throw new Error("Connection pool is closed");
+  }
+
+  if (this.idle.length > 0) {
+    return this.idle.pop();
+  }
+
+  if (this.connections.length + this.opening < this.size) {
+    this.opening++;
+    try {
+      const connection = await this.instance.connect();
+
+      // A connection opened while the pool was closing would never be closed
+      if (this.closed) {
+        connection.closeSync();
+        throw new Error("Connection pool is closed");
+      }
+
+      this.connections.push(connection);
+      return connection;
+    } finally {
+      this.opening--;
+    }
+  }
+
+  if (this.waiting.length >= this.queueLimit) {
+    throw new Error(`Connection pool queue is full (${this.queueLimit} waiting)`);
+  }
+
+  return new Promise((resolve, reject) => {
+    this.waiting.push({ resolve, reject });
+  });
+};
+
+ConnectionPool.prototype.release = function (connection) {
+  if (this.closed) {
+    return;
+  }
+
+  // Hand the connection straight to the longest-waiting request
+  const next = this.waiting.shift();
+  if (next) {
+    next.resolve(connection);
+  } else {
+    this.idle.push(connection);
+  }
+};
+
+// Run fn with a connection, releasing it when the returned promise settles
+ConnectionPool.prototype.use = async function (fn) {
+  const connection = await this.acquire();
+  try {
+    return await fn(connection);
+  } finally {
+    this.release(connection);
+  }
+};
+
+ConnectionPool.prototype.close = function () {
+  this.closed = true;
+
+  for (const { reject } of this.waiting.splice(0)) {
+    reject(new Error("Connection pool is closed"));
+  }
+
+  const connections = this.connections.splice(0);
+  this.idle = [];
+  for (const connection of connections) {
+    connection.closeSync();
+  }
+};
+
+module.exports = ConnectionPool;
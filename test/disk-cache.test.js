@@ -0,0 +1,93 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const os = require("node:os");
+const path = require("node:path");
+
+const DiskCache = require("../lib/disk-cache");
+
+describe("DiskCache", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "tilelive-duckdb-cache-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it("stores tiles as z/x/y.pbf", async () => {
+    const cache = new DiskCache(dir);
+
+    await cache.set(1, 0, 1, Buffer.from("tile"));
+
+    assert.deepStrictEqual(fs.readFileSync(path.join(dir, "1", "0", "1.pbf")), Buffer.from("tile"));
+    assert.deepStrictEqual(await cache.get(1, 0, 1), Buffer.from("tile"));
+    assert.strictEqual(await cache.get(1, 1, 1), null);
+  });
+
+  it("keeps tiles across instances with the same data version", async () => {
+    const cache = new DiskCache(dir);
+    await cache.validate(1);
+    await cache.set(0, 0, 0, Buffer.from("tile"));
+
+    const reopened = new DiskCache(dir);
+    await reopened.validate(1);
+
+    assert.deepStrictEqual(await reopened.get(0, 0, 0), Buffer.from("tile"));
+  });
+
+  it("clears when the data version changes", async () => {
+    const cache = new DiskCache(dir);
+    await cache.validate(1);
+    await cache.set(0, 0, 0, Buffer.from("tile"));
+
+    const reopened = new DiskCache(dir);
+    await reopened.validate(2);
+
+    assert.strictEqual(await reopened.get(0, 0, 0), null);
+    assert.ok(!fs.existsSync(path.join(dir, "0")));
+  });
+
+  it("waits for version checks before reading", async () => {
+    const cache = new DiskCache(dir);
+    await cache.validate(1);
+    await cache.set(0, 0, 0, Buffer.from("tile"));
+
+    cache.validate(2);
+
+    assert.strictEqual(await cache.get(0, 0, 0), null);
+  });
+
+  it("recovers from a failed version check", async () => {
+    // A file where the cache directory should be makes every write fail
+    const blocked = path.join(dir, "blocked");
+    fs.writeFileSync(blocked, "");
+    const cache = new DiskCache(path.join(blocked, "cache"));
+
+    await assert.rejects(cache.validate(1), { code: "ENOTDIR" });
+    assert.strictEqual(cache.version, undefined);
+
+    fs.rmSync(blocked);
+    await cache.validate(1);
+    await cache.set(0, 0, 0, Buffer.from("tile"));
+    assert.deepStrictEqual(await cache.get(0, 0, 0), Buffer.from("tile"));
+  });
+
+  it("invalidates matching tiles", async () => {
+    const cache = new DiskCache(dir);
+
+    await cache.set(1, 0, 0, Buffer.from("a"));
+    await cache.set(1, 1, 0, Buffer.from("b"));
+    await cache.set(2, 0, 0, Buffer.from("c"));
+
+    await cache.invalidate((z, x) => z === 1 && x === 0);
+
+    assert.strictEqual(await cache.get(1, 0, 0), null);
+    assert.ok(await cache.get(1, 1, 0));
+    assert.ok(await cache.get(2, 0, 0));
+  });
+});
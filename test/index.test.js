@@ -4,8 +4,20 @@ const { describe, it, before, after } = require("node:test");
 const assert = require("node:assert");
 const fs = require("node:fs");
 const path = require("node:path");
+const zlib = require("node:zlib");
 const { DuckDBInstance } = require("@duckdb/node-api");
 
+// Count the tiles a source actually renders
+function countRenders(source) {
+  const counter = { count: 0 };
+  const renderTile = source._renderTile;
+  source._renderTile = function (...args) {
+    counter.count++;
+    return renderTile.apply(this, args);
+  };
+  return counter;
+}
+
 describe("tilelive-duckdb", () => {
   it("exports a function that takes tilelive", () => {
     const tilelive = { protocols: {} };
@@ -209,6 +221,141 @@ describe("DuckDBSource connection", () => {
     });
   });
 
+  it("renders tiles on a pool of connections", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points&pool_size=2&queue_limit=10`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.pool.size, 2);
+      assert.strictEqual(source.pool.queueLimit, 10);
+
+      let remaining = 4;
+      for (let i = 0; i < 4; i++) {
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          assert.ok(data.length > 0);
+          if (--remaining === 0) {
+            assert.ok(source.pool.connections.length <= 2);
+            source.close(done);
+          }
+        });
+      }
+    });
+  });
+
+  it("rejects invalid pool sizes", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points&pool_size=0`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid pool_size/i);
+      done();
+    });
+  });
+
+  it("shares one instance between sources on the same file", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points`);
+
+    new DuckDBSource(uri, (err, first) => {
+      assert.ifError(err);
+
+      new DuckDBSource(uri, (err, second) => {
+        assert.ifError(err);
+        assert.strictEqual(first.instance, second.instance);
+
+        first.close((err) => {
+          assert.ifError(err);
+
+          // The instance stays open for the remaining source
+          second.getTile(0, 0, 0, (err, data) => {
+            assert.ifError(err);
+            assert.ok(data.length > 0);
+            second.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it("is safe to close more than once", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.close((err) => {
+        assert.ifError(err);
+        assert.strictEqual(source.instance, null);
+        source.close(done);
+      });
+    });
+  });
+
+  it("refuses requests after close", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.close((err) => {
+        assert.ifError(err);
+
+        source.getTile(0, 0, 0, (err) => {
+          assert.ok(err);
+          assert.strictEqual(err.code, "ESOURCECLOSED");
+          assert.match(err.message, /source closed/i);
+
+          source.getInfo((err) => {
+            assert.ok(err);
+            assert.strictEqual(err.code, "ESOURCECLOSED");
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("waits for in-flight requests before closing", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${testDbPath}?table=points`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      let remaining = 2;
+      const finish = () => --remaining === 0 && done();
+
+      // The query started before close, so it completes normally
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        assert.ok(data.length > 0);
+        finish();
+      });
+
+      source.close((err) => {
+        assert.ifError(err);
+        finish();
+      });
+    });
+  });
+
   it("errors on non-existent database", (_, done) => {
     const tilelive = { protocols: {} };
     const DuckDBSource = require("../index.js")(tilelive);
@@ -465,7 +612,7 @@ describe("DuckDBSource.getTile", () => {
     });
   });
 
-  it("returns empty buffer for tile with no data", (_, done) => {
+  it("reports tiles with no data as missing", (_, done) => {
     const tilelive = { protocols: {} };
     const DuckDBSource = require("../index.js")(tilelive);
 
@@ -475,11 +622,3354 @@ describe("DuckDBSource.getTile", () => {
       assert.ifError(err);
 
       // Tile at high zoom far from origin should be empty
-      source.getTile(14, 16383, 16383, (err, data, headers) => {
+      source.getTile(14, 16383, 16383, (err, data) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, "Tile does not exist");
+        assert.strictEqual(data, undefined);
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource with multiple layers", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const layersDbPath = path.join(fixturesDir, "layers.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(layersDbPath)) {
+      fs.unlinkSync(layersDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(layersDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE buildings (
+        id INTEGER,
+        name VARCHAR,
+        footprint GEOMETRY
+      )
+    `);
+    await conn.run(`
+      CREATE TABLE roads (
+        id INTEGER,
+        class VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      INSERT INTO buildings VALUES
+        (1, 'Building A', ST_GeomFromText('POINT(0 0)'))
+    `);
+    await conn.run(`
+      INSERT INTO roads VALUES
+        (1, 'motorway', ST_GeomFromText('LINESTRING(-1000000 -1000000, 1000000 1000000)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(layersDbPath)) {
+      fs.unlinkSync(layersDbPath);
+    }
+  });
+
+  it("parses per-layer parameters", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${layersDbPath}?layers=buildings,roads&buildings.geometry=footprint&buildings.layer=structures`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(
+        source.layers.map(({ table, geometryColumn, layerName }) => ({ table, geometryColumn, layerName })),
+        [
+          { table: "buildings", geometryColumn: "footprint", layerName: "structures" },
+          { table: "roads", geometryColumn: "geometry", layerName: "roads" },
+        ]
+      );
+      source.close(done);
+    });
+  });
+
+  it("errors when table and layers are combined", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${layersDbPath}?table=roads&layers=roads`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /cannot be combined/);
+      done();
+    });
+  });
+
+  it("errors on duplicate layer names", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${layersDbPath}?layers=buildings,roads&buildings.geometry=footprint&buildings.layer=roads`
+    );
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /duplicate layer/i);
+      done();
+    });
+  });
+
+  it("reports every layer in vector_layers", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${layersDbPath}?layers=buildings,roads&buildings.geometry=footprint`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(
+          info.vector_layers.map((l) => l.id),
+          ["buildings", "roads"]
+        );
+        // Bounds should cover both tables
+        assert.ok(info.bounds[0] < 0 && info.bounds[2] > 0);
+        source.close(done);
+      });
+    });
+  });
+
+  it("combines layers into one tile", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${layersDbPath}?layers=buildings,roads&buildings.geometry=footprint`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
         assert.ifError(err);
-        assert.ok(Buffer.isBuffer(data));
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("buildings"), "tile should contain buildings layer");
+        assert.ok(tile.includes("roads"), "tile should contain roads layer");
         source.close(done);
       });
     });
   });
 });
+
+describe("DuckDBSource zoom ranges", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const zoomDbPath = path.join(fixturesDir, "zoom.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(zoomDbPath)) {
+      fs.unlinkSync(zoomDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(zoomDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE buildings (
+        id INTEGER,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      CREATE TABLE roads (
+        id INTEGER,
+        class VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      INSERT INTO buildings VALUES
+        (1, ST_GeomFromText('POINT(0 0)'))
+    `);
+    await conn.run(`
+      INSERT INTO roads VALUES
+        (1, 'motorway', ST_GeomFromText('LINESTRING(-1000 -1000, 1000 1000)')),
+        (2, 'residential_street', ST_GeomFromText('LINESTRING(-1000 1000, 1000 -1000)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(zoomDbPath)) {
+      fs.unlinkSync(zoomDbPath);
+    }
+  });
+
+  it("parses per-layer zoom ranges and filters", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${zoomDbPath}?layers=buildings,roads&maxzoom=16&buildings.minzoom=12&roads.filter.0-7=class = 'motorway'`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      const [buildings, roads] = source.layers;
+      assert.strictEqual(buildings.minzoom, 12);
+      assert.strictEqual(buildings.maxzoom, 16);
+      assert.strictEqual(roads.minzoom, 0);
+      assert.strictEqual(roads.maxzoom, 16);
+      assert.deepStrictEqual(roads.filters, [
+        { minzoom: 0, maxzoom: 7, predicate: "class = 'motorway'", parameters: [] },
+      ]);
+      source.close(done);
+    });
+  });
+
+  it("rejects invalid zoom levels", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${zoomDbPath}?table=roads&minzoom=abc`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid minzoom/i);
+      done();
+    });
+  });
+
+  it("rejects minzoom greater than maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${zoomDbPath}?table=roads&minzoom=10&maxzoom=5`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /must not exceed/);
+      done();
+    });
+  });
+
+  it("reports the real zoom range in getInfo", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${zoomDbPath}?layers=buildings,roads&buildings.minzoom=12&buildings.maxzoom=16&roads.minzoom=4&roads.maxzoom=12`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.strictEqual(info.minzoom, 4);
+        assert.strictEqual(info.maxzoom, 16);
+        assert.strictEqual(info.vector_layers[0].minzoom, 12);
+        assert.strictEqual(info.vector_layers[1].maxzoom, 12);
+        source.close(done);
+      });
+    });
+  });
+
+  it("leaves layers out of tiles outside their zoom range", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${zoomDbPath}?layers=buildings,roads&buildings.minzoom=12`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(!tile.includes("buildings"), "tile should not contain buildings layer");
+        assert.ok(tile.includes("roads"), "tile should contain roads layer");
+        source.close(done);
+      });
+    });
+  });
+
+  it("applies filters within their zoom band", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${zoomDbPath}?table=roads&filter.0-7=class = 'motorway'`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("motorway"));
+        assert.ok(!tile.includes("residential_street"));
+
+        source.getTile(8, 128, 128, (err, data) => {
+          assert.ifError(err);
+          const tile = zlib.gunzipSync(data).toString("latin1");
+          assert.ok(tile.includes("residential_street"));
+          source.close(done);
+        });
+      });
+    });
+  });
+});
+
+describe("DuckDBSource generalization", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const generalizeDbPath = path.join(fixturesDir, "generalize.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(generalizeDbPath)) {
+      fs.unlinkSync(generalizeDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(generalizeDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE buildings (
+        id INTEGER,
+        name VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    // A pixel at z0 is roughly 156km wide
+    await conn.run(`
+      INSERT INTO buildings VALUES
+        (1, 'small_building', ST_GeomFromText('POLYGON((0 0, 100 0, 100 100, 0 100, 0 0))')),
+        (2, 'large_building', ST_GeomFromText('POLYGON((0 0, 1000000 0, 1000000 1000000, 0 1000000, 0 0))')),
+        (3, 'marker', ST_GeomFromText('POINT(10 10)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(generalizeDbPath)) {
+      fs.unlinkSync(generalizeDbPath);
+    }
+  });
+
+  it("rejects negative tolerances", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${generalizeDbPath}?table=buildings&simplify=-1`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid simplify/i);
+      done();
+    });
+  });
+
+  it("drops features smaller than min_area below maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${generalizeDbPath}?table=buildings&simplify=1&min_area=4`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("large_building"));
+        assert.ok(!tile.includes("small_building"));
+        // Points have no area and are never dropped
+        assert.ok(tile.includes("marker"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("keeps every feature at maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${generalizeDbPath}?table=buildings&maxzoom=0&min_area=4`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("small_building"));
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource MVT parameters", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const mvtParamsDbPath = path.join(fixturesDir, "mvt-params.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(mvtParamsDbPath)) {
+      fs.unlinkSync(mvtParamsDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(mvtParamsDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places (
+        id INTEGER,
+        name VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    // Just west of the edge between z1 tiles 0/0 and 1/0
+    await conn.run(`
+      INSERT INTO places VALUES
+        (1, 'edge_place', ST_GeomFromText('POINT(-1000 1000000)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(mvtParamsDbPath)) {
+      fs.unlinkSync(mvtParamsDbPath);
+    }
+  });
+
+  it("parses extent, buffer and clip_geom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${mvtParamsDbPath}?table=places&extent=8192&buffer=128&clip_geom=false`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.extent, 8192);
+      assert.strictEqual(source.buffer, 128);
+      assert.strictEqual(source.clipGeom, false);
+      source.close(done);
+    });
+  });
+
+  it("uses PostGIS defaults", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${mvtParamsDbPath}?table=places`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.extent, 4096);
+      assert.strictEqual(source.buffer, 256);
+      assert.strictEqual(source.clipGeom, true);
+      source.close(done);
+    });
+  });
+
+  it("rejects invalid extent", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${mvtParamsDbPath}?table=places&extent=0`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid extent/i);
+      done();
+    });
+  });
+
+  it("writes the configured extent into tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${mvtParamsDbPath}?table=places&extent=8192&buffer=128`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data);
+        // Layer field 5 (extent) as a varint: 8192
+        assert.ok(tile.includes(Buffer.from([0x28, 0x80, 0x40])));
+        source.close(done);
+      });
+    });
+  });
+
+  it("includes features within the buffer of neighbouring tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${mvtParamsDbPath}?table=places&buffer=256`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(1, 1, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("edge_place"));
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource coordinate reference systems", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const crsDbPath = path.join(fixturesDir, "crs.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(crsDbPath)) {
+      fs.unlinkSync(crsDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(crsDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places (
+        id INTEGER,
+        name VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    // Longitude, latitude in EPSG:4326
+    await conn.run(`
+      INSERT INTO places VALUES
+        (1, 'Place A', ST_GeomFromText('POINT(-122.5 37.5)')),
+        (2, 'Place B', ST_GeomFromText('POINT(-122.0 38.0)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(crsDbPath)) {
+      fs.unlinkSync(crsDbPath);
+    }
+  });
+
+  it("defaults to EPSG:3857", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${crsDbPath}?table=places`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.layers[0].crs, "EPSG:3857");
+      source.close(done);
+    });
+  });
+
+  it("accepts bare SRIDs", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${crsDbPath}?table=places&srid=4326`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.layers[0].crs, "EPSG:4326");
+      source.close(done);
+    });
+  });
+
+  it("reports bounds of EPSG:4326 data", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${crsDbPath}?table=places&crs=EPSG:4326`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        const expected = [-122.5, 37.5, -122.0, 38.0];
+        info.bounds.forEach((value, i) => {
+          assert.ok(
+            Math.abs(value - expected[i]) < 1e-6,
+            `bounds[${i}] ${value} should be near ${expected[i]}`
+          );
+        });
+        source.close(done);
+      });
+    });
+  });
+
+  it("transforms EPSG:4326 data into tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${crsDbPath}?table=places&crs=EPSG:4326`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      // z10 tile containing -122.5, 37.5
+      source.getTile(10, 163, 396, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("Place A"));
+        assert.ok(!tile.includes("Place B"));
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource with Parquet files", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const parquetDir = path.join(fixturesDir, "parquet");
+  const placesPath = path.join(parquetDir, "places.parquet");
+
+  before(async () => {
+    fs.mkdirSync(parquetDir, { recursive: true });
+
+    const instance = await DuckDBInstance.create(":memory:");
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    // Writing GEOMETRY columns produces GeoParquet metadata
+    await conn.run(`
+      COPY (
+        SELECT *
+        FROM (VALUES
+          (1, 'Place A', ST_GeomFromText('POINT(-122.5 37.5)')),
+          (2, 'Place B', ST_GeomFromText('POINT(-122.0 38.0)'))
+        ) AS v(id, name, geom)
+      ) TO '${placesPath}' (FORMAT parquet)
+    `);
+    await conn.run(`
+      COPY (
+        SELECT 3 AS id, 'Place C' AS name, ST_GeomFromText('POINT(2.35 48.85)') AS geom
+      ) TO '${path.join(parquetDir, "more-places.parquet")}' (FORMAT parquet)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    fs.rmSync(parquetDir, { recursive: true, force: true });
+  });
+
+  it("derives table and geometry column from the file", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${placesPath}`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.parquet, true);
+      assert.strictEqual(source.table, "places");
+      assert.strictEqual(source.geometryColumn, "geom");
+      assert.strictEqual(source.layers[0].crs, "EPSG:4326");
+      source.close(done);
+    });
+  });
+
+  it("rejects the layers parameter", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${placesPath}?layers=a,b`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /not supported for Parquet/);
+      done();
+    });
+  });
+
+  it("errors when no files match", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${parquetDir}/missing-*.parquet`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      done();
+    });
+  });
+
+  it("serves every file matching a glob", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${parquetDir}/*.parquet`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.layerName, "parquet");
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        // Bounds span California and Paris
+        assert.ok(Math.abs(info.bounds[0] - -122.5) < 1e-6);
+        assert.ok(Math.abs(info.bounds[2] - 2.35) < 1e-6);
+
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          const tile = zlib.gunzipSync(data).toString("latin1");
+          assert.ok(tile.includes("Place A"));
+          assert.ok(tile.includes("Place C"));
+          source.close(done);
+        });
+      });
+    });
+  });
+});
+
+describe("DuckDBSource with SQL layers", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const sqlDbPath = path.join(fixturesDir, "sql.db");
+  const sqlFilePath = path.join(fixturesDir, "named_roads.sql");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(sqlDbPath)) {
+      fs.unlinkSync(sqlDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(sqlDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE roads (
+        id INTEGER,
+        class_id INTEGER,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      CREATE TABLE road_classes (
+        id INTEGER,
+        name VARCHAR
+      )
+    `);
+    await conn.run(`
+      INSERT INTO roads VALUES
+        (1, 1, ST_GeomFromText('LINESTRING(-1000 -1000, 1000 1000)'))
+    `);
+    await conn.run(`
+      INSERT INTO road_classes VALUES (1, 'motorway')
+    `);
+
+    conn.closeSync();
+
+    fs.writeFileSync(
+      sqlFilePath,
+      `SELECT r.id, c.name AS class_name, r.geometry
+       FROM roads r JOIN road_classes c ON r.class_id = c.id
+       WHERE ST_Intersects(r.geometry, !bbox!);
+      `
+    );
+  });
+
+  after(() => {
+    for (const file of [sqlDbPath, sqlFilePath]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  it("errors when table and sql are combined", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${sqlDbPath}?table=roads&sql=SELECT 1`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /cannot be combined/);
+      done();
+    });
+  });
+
+  it("requires a layer name for inline SQL", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${sqlDbPath}?sql=SELECT * FROM roads`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /layer parameter is required/);
+      done();
+    });
+  });
+
+  it("names sidecar file layers after the file", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${sqlDbPath}?sql_file=${sqlFilePath}`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.layerName, "named_roads");
+      assert.strictEqual(source.table, null);
+      source.close(done);
+    });
+  });
+
+  it("errors when the query has no geometry column", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${sqlDbPath}?layer=classes&sql=SELECT * FROM road_classes`
+    );
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /geometry column does not exist/i);
+      done();
+    });
+  });
+
+  it("serves tiles from a joined query", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${sqlDbPath}?sql_file=${sqlFilePath}`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.strictEqual(info.vector_layers[0].id, "named_roads");
+
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          const tile = zlib.gunzipSync(data).toString("latin1");
+          assert.ok(tile.includes("class_name"));
+          assert.ok(tile.includes("motorway"));
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("substitutes the zoom placeholder", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const sql = "SELECT geometry, 'zoom_' || !zoom! AS label FROM roads";
+    const uri = new URL(
+      `duckdb://${sqlDbPath}?layer=labels&sql=${encodeURIComponent(sql)}`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(3, 3, 3, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("zoom_3"));
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource with qualified table names", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const schemasDbPath = path.join(fixturesDir, "schemas.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(schemasDbPath)) {
+      fs.unlinkSync(schemasDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(schemasDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run("CREATE SCHEMA analytics");
+    await conn.run(`
+      CREATE TABLE buildings (
+        main_only VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      CREATE TABLE analytics.buildings (
+        analytics_only VARCHAR,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      INSERT INTO analytics.buildings VALUES
+        ('scored', ST_GeomFromText('POINT(0 0)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(schemasDbPath)) {
+      fs.unlinkSync(schemasDbPath);
+    }
+  });
+
+  it("rejects names with more than three parts", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${schemasDbPath}?table=a.b.c.d`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid table name/i);
+      done();
+    });
+  });
+
+  it("errors on tables missing from the schema", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${schemasDbPath}?table=staging.buildings`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /table does not exist/i);
+      done();
+    });
+  });
+
+  it("serves schema-qualified tables", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${schemasDbPath}?table=analytics.buildings`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.strictEqual(source.layerName, "buildings");
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("analytics_only"));
+        assert.ok(!tile.includes("main_only"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("serves catalog-qualified tables alongside same-named tables", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${schemasDbPath}?layers=schemas.analytics.buildings,buildings&schemas.analytics.buildings.layer=scored_buildings`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      assert.deepStrictEqual(
+        source.layers.map((layer) => layer.layerName),
+        ["scored_buildings", "buildings"]
+      );
+
+      Promise.all(source.layers.map((layer) => source._getColumns(layer)))
+        .then(([scored, main]) => {
+          assert.deepStrictEqual(scored.map((c) => c.name), ["analytics_only"]);
+          assert.deepStrictEqual(main.map((c) => c.name), ["main_only"]);
+          source.close(done);
+        })
+        .catch(done);
+    });
+  });
+});
+
+describe("DuckDBSource attributes", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const attributesDbPath = path.join(fixturesDir, "attributes.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(attributesDbPath)) {
+      fs.unlinkSync(attributesDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(attributesDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places (
+        id INTEGER,
+        name VARCHAR,
+        internal_note VARCHAR,
+        tags VARCHAR[],
+        address STRUCT(street VARCHAR, city VARCHAR),
+        rating DECIMAL(4, 2),
+        updated_at TIMESTAMP,
+        thumbnail BLOB,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      INSERT INTO places VALUES (
+        1,
+        'Cafe',
+        'do_not_publish',
+        ['coffee', 'wifi'],
+        {'street': 'Main St', 'city': 'Springfield'},
+        4.25,
+        TIMESTAMP '2024-05-06 07:08:09',
+        '\\xAA\\xBB'::BLOB,
+        ST_GeomFromText('POINT(0 0)')
+      )
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(attributesDbPath)) {
+      fs.unlinkSync(attributesDbPath);
+    }
+  });
+
+  it("errors on fields that don't exist", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${attributesDbPath}?table=places&fields=id,missing`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /field does not exist: missing/i);
+      done();
+    });
+  });
+
+  it("errors when fields and exclude are combined", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${attributesDbPath}?table=places&fields=id&exclude=name`
+    );
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /cannot be combined/);
+      done();
+    });
+  });
+
+  it("selects and renames fields", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${attributesDbPath}?table=places&fields=id,name:display_name`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("display_name"));
+        assert.ok(tile.includes("Cafe"));
+        assert.ok(!tile.includes("do_not_publish"));
+        assert.ok(!tile.includes("coffee"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("excludes fields", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${attributesDbPath}?table=places&exclude=internal_note`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(!tile.includes("do_not_publish"));
+        assert.ok(tile.includes("Cafe"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("coerces unsupported types", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${attributesDbPath}?table=places`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes('["coffee","wifi"]'), "lists should be JSON-encoded");
+        assert.ok(tile.includes('"city":"Springfield"'), "structs should be JSON-encoded");
+        assert.ok(tile.includes("2024-05-06T07:08:09"), "timestamps should be ISO strings");
+        assert.ok(!tile.includes("thumbnail"), "blobs should be left out");
+        source.close(done);
+      });
+    });
+  });
+
+  it("encodes timestamps as epoch milliseconds", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${attributesDbPath}?table=places&fields=updated_at&timestamps=epoch`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("updated_at"));
+        assert.ok(!tile.includes("2024-05-06"));
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource.getInfo layer metadata", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const metadataDbPath = path.join(fixturesDir, "metadata.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(metadataDbPath)) {
+      fs.unlinkSync(metadataDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(metadataDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE buildings (
+        id INTEGER,
+        class VARCHAR,
+        height DECIMAL(6, 2),
+        is_public BOOLEAN,
+        geometry GEOMETRY
+      )
+    `);
+    await conn.run(`
+      INSERT INTO buildings VALUES
+        (1, 'house', 6.5, false, ST_GeomFromText('POLYGON((0 0, 10 0, 10 10, 0 10, 0 0))')),
+        (2, 'school', 12.0, true, ST_GeomFromText('POLYGON((20 20, 30 20, 30 30, 20 30, 20 20))')),
+        (3, 'house', 7.25, false, ST_GeomFromText('MULTIPOLYGON(((40 40, 50 40, 50 50, 40 50, 40 40)))')),
+        (4, 'kiosk', 3.0, true, ST_GeomFromText('POINT(60 60)'))
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(metadataDbPath)) {
+      fs.unlinkSync(metadataDbPath);
+    }
+  });
+
+  it("reports field types and geometry type in vector_layers", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${metadataDbPath}?table=buildings&fields=id,class:kind,height,is_public`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        const [layer] = info.vector_layers;
+        assert.deepStrictEqual(layer.fields, {
+          id: "Number",
+          kind: "String",
+          height: "Number",
+          is_public: "Boolean",
+        });
+        assert.strictEqual(layer.geometry, "Polygon");
+        assert.strictEqual(info.tilestats, undefined);
+        source.close(done);
+      });
+    });
+  });
+
+  it("computes tilestats when requested", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${metadataDbPath}?table=buildings&fields=class,height&tilestats=true`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.strictEqual(info.tilestats.layerCount, 1);
+
+        const [layer] = info.tilestats.layers;
+        assert.strictEqual(layer.layer, "buildings");
+        assert.strictEqual(layer.count, 4);
+        assert.strictEqual(layer.geometry, "Polygon");
+        assert.strictEqual(layer.attributeCount, 2);
+
+        const [kind, height] = layer.attributes;
+        assert.strictEqual(kind.attribute, "class");
+        assert.strictEqual(kind.type, "string");
+        assert.strictEqual(kind.count, 3);
+        assert.deepStrictEqual(kind.values.sort(), ["house", "kiosk", "school"]);
+        assert.strictEqual(kind.min, undefined);
+
+        assert.strictEqual(height.type, "number");
+        assert.strictEqual(height.min, 3);
+        assert.strictEqual(height.max, 12);
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource limits", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const limitsDbPath = path.join(fixturesDir, "limits.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(limitsDbPath)) {
+      fs.unlinkSync(limitsDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(limitsDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE points AS
+      SELECT
+        i AS id,
+        'point_' || i AS name,
+        ST_Point(i * 1000, i * 1000) AS geometry
+      FROM range(100) r(i)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(limitsDbPath)) {
+      fs.unlinkSync(limitsDbPath);
+    }
+  });
+
+  it("rejects invalid oversize behaviour", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${limitsDbPath}?table=points&oversize=shrink`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid oversize/i);
+      done();
+    });
+  });
+
+  it("interrupts queries that exceed the timeout", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    // A deliberately slow layer, at z0 only so that computing its bounds
+    // (at maxzoom) is still quick
+    const sql =
+      "SELECT p.* FROM points p, range(CASE WHEN !zoom! = 0 THEN 1000000000 ELSE 1 END) r WHERE r.range % 1000 = p.id";
+    const uri = new URL(
+      `duckdb://${limitsDbPath}?layer=slow&sql=${encodeURIComponent(sql)}&timeout=100`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.code, "ETIMEDOUT");
+        assert.match(err.message, /timed out after 100ms/);
+        source.close(done);
+      });
+    });
+  });
+
+  it("rejects tiles with too many features", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${limitsDbPath}?table=points&max_features=10`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.code, "ETILETOOLARGE");
+        assert.match(err.message, /more than 10 features/);
+        source.close(done);
+      });
+    });
+  });
+
+  it("truncates tiles with too many features", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(
+      `duckdb://${limitsDbPath}?table=points&max_features=10&oversize=truncate`
+    );
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        const names = tile.match(/point_\d+/g) || [];
+        assert.strictEqual(names.length, 10);
+        source.close(done);
+      });
+    });
+  });
+
+  it("rejects tiles larger than max_size", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${limitsDbPath}?table=points&max_size=100`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.code, "ETILETOOLARGE");
+        assert.match(err.message, /larger than 100 bytes/);
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource tile cache", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const cacheDbPath = path.join(fixturesDir, "cache.db");
+  const cacheDir = path.join(fixturesDir, "tile-cache");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(cacheDbPath)) {
+      fs.unlinkSync(cacheDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(cacheDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE points AS
+      SELECT
+        i AS id,
+        'point_' || i AS name,
+        ST_Point(i * 1000, i * 1000) AS geometry
+      FROM range(100) r(i)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(cacheDbPath)) {
+      fs.unlinkSync(cacheDbPath);
+    }
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+  });
+
+  it("rejects invalid cache types", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=redis`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid cache/i);
+      done();
+    });
+  });
+
+  it("requires cache_dir for disk caches", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=disk`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /cache_dir/);
+      done();
+    });
+  });
+
+  it("serves repeated tiles from the memory cache", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=memory`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      source.getTile(0, 0, 0, (err, first) => {
+        assert.ifError(err);
+
+        source.getTile(0, 0, 0, (err, second, headers) => {
+          assert.ifError(err);
+          assert.strictEqual(renders.count, 1);
+          assert.deepStrictEqual(second, first);
+          assert.strictEqual(headers["Content-Type"], "application/vnd.mapbox-vector-tile");
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("renders tiles again after the database file changes", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=memory`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ifError(err);
+
+        const later = new Date(Date.now() + 60000);
+        fs.utimesSync(cacheDbPath, later, later);
+
+        source.getTile(0, 0, 0, (err) => {
+          assert.ifError(err);
+          assert.strictEqual(renders.count, 2);
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("invalidates cached tiles by bbox and zoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=memory`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(1, 0, 1, (err) => {
+        assert.ifError(err);
+
+        source.getTile(1, 1, 0, (err) => {
+          assert.ifError(err);
+          const renders = countRenders(source);
+
+          // South-west of the origin, so only tile 1/0/1
+          source.invalidate([-10, -10, -1, -1], [1], (err) => {
+            assert.ifError(err);
+
+            source.getTile(1, 0, 1, (err) => {
+              assert.ifError(err);
+
+              source.getTile(1, 1, 0, (err) => {
+                assert.ifError(err);
+                assert.strictEqual(renders.count, 1);
+                source.close(done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("stores tiles in the disk cache directory", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${cacheDbPath}?table=points&cache=disk&cache_dir=${cacheDir}`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(1, 1, 0, (err, data) => {
+        assert.ifError(err);
+
+        const [namespace] = fs.readdirSync(cacheDir);
+        const file = path.join(cacheDir, namespace, "1", "1", "0.pbf");
+        assert.deepStrictEqual(fs.readFileSync(file), data);
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource tile stores", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const storePath = path.join(fixturesDir, "store.db");
+
+  function removeStore() {
+    for (const file of [storePath, `${storePath}.wal`]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  }
+
+  async function query(sql) {
+    const instance = await DuckDBInstance.create(storePath, { access_mode: "READ_ONLY" });
+    const conn = await instance.connect();
+    const rows = (await conn.runAndReadAll(sql)).getRowsJS();
+    conn.closeSync();
+    instance.closeSync();
+    return rows;
+  }
+
+  before(() => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+    removeStore();
+  });
+
+  after(removeStore);
+
+  it("rejects invalid modes", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=archive`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid mode/i);
+      done();
+    });
+  });
+
+  it("writes tiles and metadata", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, sink) => {
+      assert.ifError(err);
+
+      sink.startWriting((err) => {
+        assert.ifError(err);
+
+        const info = {
+          name: "points",
+          format: "pbf",
+          minzoom: 0,
+          maxzoom: 14,
+          bounds: [-180, -85, 180, 85],
+          center: [0, 0, 2],
+          vector_layers: [{ id: "points", fields: { name: "String" } }],
+        };
+
+        sink.putInfo(info, (err) => {
+          assert.ifError(err);
+
+          sink.putTile(1, 0, 0, Buffer.from("tile 1/0/0"), (err) => {
+            assert.ifError(err);
+
+            sink.stopWriting((err) => {
+              assert.ifError(err);
+
+              sink.close(async (err) => {
+                assert.ifError(err);
+
+                const tiles = await query("SELECT zoom_level, tile_column, tile_row, tile_data FROM tiles");
+                assert.strictEqual(tiles.length, 1);
+                assert.deepStrictEqual(tiles[0].slice(0, 3), [1, 0, 1]);
+                assert.strictEqual(Buffer.from(tiles[0][3]).toString(), "tile 1/0/0");
+
+                const metadata = Object.fromEntries(await query("SELECT name, value FROM metadata"));
+                assert.strictEqual(metadata.name, "points");
+                assert.strictEqual(metadata.maxzoom, "14");
+                assert.strictEqual(metadata.bounds, "-180,-85,180,85");
+                assert.strictEqual(metadata.center, "0,0,2");
+                assert.deepStrictEqual(JSON.parse(metadata.json), { vector_layers: info.vector_layers });
+                done();
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("reopens existing stores for writing and replaces tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, sink) => {
+      assert.ifError(err);
+      assert.strictEqual(sink.accessMode, "READ_ONLY");
+
+      sink.startWriting((err) => {
+        assert.ifError(err);
+        assert.strictEqual(sink.accessMode, "READ_WRITE");
+
+        sink.putTile(1, 0, 0, Buffer.from("replaced"), (err) => {
+          assert.ifError(err);
+
+          sink.stopWriting((err) => {
+            assert.ifError(err);
+
+            sink.close(async (err) => {
+              assert.ifError(err);
+
+              const tiles = await query("SELECT tile_data FROM tiles");
+              assert.strictEqual(tiles.length, 1);
+              assert.strictEqual(Buffer.from(tiles[0][0]).toString(), "replaced");
+              done();
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("writes tiles in batches", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles&tiles_table=batched`), (err, sink) => {
+      assert.ifError(err);
+
+      sink.startWriting(async (err) => {
+        assert.ifError(err);
+
+        const put = (x) =>
+          new Promise((resolve, reject) =>
+            sink.putTile(11, x, 0, Buffer.from(String(x)), (err) => (err ? reject(err) : resolve()))
+          );
+
+        for (let x = 0; x < 1500; x++) {
+          await put(x);
+        }
+
+        sink.stopWriting((err) => {
+          assert.ifError(err);
+
+          sink.close(async (err) => {
+            assert.ifError(err);
+
+            const [[count]] = await query("SELECT count(*)::INTEGER FROM batched");
+            assert.strictEqual(count, 1500);
+            done();
+          });
+        });
+      });
+    });
+  });
+
+  it("serves stored tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(1, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(data.toString(), "replaced");
+        assert.strictEqual(headers["Content-Type"], "application/vnd.mapbox-vector-tile");
+        assert.strictEqual(headers["Content-Encoding"], undefined);
+
+        // Stored as TMS row 0
+        source.getTile(1, 0, 1, (err) => {
+          assert.ok(err);
+          assert.strictEqual(err.message, "Tile does not exist");
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("finishes reads before reopening a store for writing", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, source) => {
+      assert.ifError(err);
+
+      let read = false;
+      source.getTile(1, 0, 0, (err, data) => {
+        assert.ifError(err);
+        assert.strictEqual(data.toString(), "replaced");
+        read = true;
+      });
+
+      source.startWriting((err) => {
+        assert.ifError(err);
+        assert.ok(read, "the read should finish first");
+
+        source.stopWriting((err) => {
+          assert.ifError(err);
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("refuses to write to stores open in other sources", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+    const uri = new URL(`duckdb://${storePath}?mode=tiles`);
+
+    new DuckDBSource(uri, (err, reader) => {
+      assert.ifError(err);
+
+      new DuckDBSource(uri, (err, writer) => {
+        assert.ifError(err);
+
+        writer.startWriting((err) => {
+          assert.ok(err);
+          assert.match(err.message, /open in other sources/);
+
+          // Both sources can still read
+          writer.getTile(1, 0, 0, (err) => {
+            assert.ifError(err);
+            reader.close(() => writer.close(done));
+          });
+        });
+      });
+    });
+  });
+
+  it("keeps reading stores that can't be opened for writing", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+    const InstanceCache = require("../lib/instances");
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, source) => {
+      assert.ifError(err);
+
+      // As when another process holds the file's lock
+      const acquire = InstanceCache.prototype.acquire;
+      InstanceCache.prototype.acquire = function (dbPath, options, version) {
+        if (options.access_mode === "READ_WRITE") {
+          return Promise.reject(new Error("Could not set lock on file"));
+        }
+        return acquire.call(this, dbPath, options, version);
+      };
+
+      source.startWriting((err) => {
+        InstanceCache.prototype.acquire = acquire;
+        assert.ok(err);
+        assert.match(err.message, /Could not set lock/);
+
+        source.getInfo((err, info) => {
+          assert.ifError(err);
+          assert.strictEqual(info.name, "points");
+
+          source.getTile(1, 0, 0, (err) => {
+            assert.ifError(err);
+            source.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it("reads info from the metadata table", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.strictEqual(info.name, "points");
+        assert.strictEqual(info.format, "pbf");
+        assert.strictEqual(info.minzoom, 0);
+        assert.strictEqual(info.maxzoom, 14);
+        assert.deepStrictEqual(info.bounds, [-180, -85, 180, 85]);
+        assert.deepStrictEqual(info.center, [0, 0, 2]);
+        assert.deepStrictEqual(info.vector_layers, [{ id: "points", fields: { name: "String" } }]);
+        source.close(done);
+      });
+    });
+  });
+
+  it("detects gzipped tiles and zoom levels without metadata", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${storePath}?mode=tiles&tiles_table=gzipped&metadata_table=gzipped_metadata`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.startWriting((err) => {
+        assert.ifError(err);
+
+        source.putTile(3, 2, 1, zlib.gzipSync(Buffer.from("tile")), (err) => {
+          assert.ifError(err);
+
+          source.stopWriting((err) => {
+            assert.ifError(err);
+
+            source.getTile(3, 2, 1, (err, data, headers) => {
+              assert.ifError(err);
+              assert.strictEqual(zlib.gunzipSync(data).toString(), "tile");
+              assert.strictEqual(headers["Content-Encoding"], "gzip");
+
+              source.getInfo((err, info) => {
+                assert.ifError(err);
+                assert.strictEqual(info.minzoom, 3);
+                assert.strictEqual(info.maxzoom, 3);
+                source.close(done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("lists stored tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, source) => {
+      assert.ifError(err);
+
+      let text = "";
+      source
+        .createZXYStream()
+        .on("data", (chunk) => (text += chunk))
+        .on("error", done)
+        .on("end", () => {
+          assert.strictEqual(text, "1/0/0\n");
+          source.close(done);
+        });
+    });
+  });
+
+  it("closes while a tile list is not being read", async () => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+    const listPath = path.join(fixturesDir, "store-list.db");
+
+    // Enough tiles that the list doesn't fit in the stream's buffer
+    const instance = await DuckDBInstance.create(listPath);
+    const conn = await instance.connect();
+    await conn.run(`
+      CREATE TABLE tiles AS
+      SELECT 12 AS zoom_level, range AS tile_column, 0 AS tile_row, ''::BLOB AS tile_data
+      FROM range(20000)
+    `);
+    await conn.run("CREATE TABLE metadata (name VARCHAR, value VARCHAR)");
+    conn.closeSync();
+    instance.closeSync();
+
+    try {
+      const source = await new Promise((resolve, reject) => {
+        new DuckDBSource(new URL(`duckdb://${listPath}?mode=tiles`), (err, source) => (err ? reject(err) : resolve(source)));
+      });
+
+      // The stream fills its buffer, then waits for a read that never comes
+      const stream = source.createZXYStream();
+      await new Promise((resolve) => stream.once("readable", resolve));
+
+      await new Promise((resolve, reject) => source.close((err) => (err ? reject(err) : resolve())));
+      assert.ok(stream.destroyed);
+    } finally {
+      fs.rmSync(listPath, { force: true });
+    }
+  });
+
+  it("rejects tiles before startWriting and invalid coordinates", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${storePath}?mode=tiles`), (err, sink) => {
+      assert.ifError(err);
+
+      sink.putTile(0, 0, 0, Buffer.from("tile"), (err) => {
+        assert.ok(err);
+        assert.match(err.message, /startWriting/);
+
+        sink.startWriting((err) => {
+          assert.ifError(err);
+
+          sink.putTile(1, 2, 0, Buffer.from("tile"), (err) => {
+            assert.ok(err);
+            assert.match(err.message, /Invalid tile coordinates: 1\/2\/0/);
+
+            sink.stopWriting((err) => {
+              assert.ifError(err);
+              sink.close(done);
+            });
+          });
+        });
+      });
+    });
+  });
+});
+
+describe("DuckDBSource.createZXYStream", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const listDbPath = path.join(fixturesDir, "list.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(listDbPath)) {
+      fs.unlinkSync(listDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(listDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE points AS
+      SELECT * FROM (VALUES
+        (1, ST_Point(1000, 1000)),
+        (2, ST_Point(-1000000, -1000000))
+      ) t(id, geometry)
+    `);
+
+    // Crosses the north-west, south-west and south-east quadrants, while
+    // its bounding box covers all four
+    await conn.run(`
+      CREATE TABLE lines AS
+      SELECT 1 AS id, ST_GeomFromText('LINESTRING(-15000000 10000000, 10000000 -15000000)') AS geometry
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(listDbPath)) {
+      fs.unlinkSync(listDbPath);
+    }
+  });
+
+  function readStream(stream) {
+    return new Promise((resolve, reject) => {
+      let text = "";
+      stream.on("data", (chunk) => (text += chunk));
+      stream.on("end", () => resolve(text));
+      stream.on("error", reject);
+    });
+  }
+
+  it("lists only tiles containing points", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${listDbPath}?table=points&maxzoom=2&buffer=0`), async (err, source) => {
+      assert.ifError(err);
+
+      const text = await readStream(source.createZXYStream());
+      assert.strictEqual(text, "0/0/0\n1/0/1\n1/1/0\n2/1/2\n2/2/1\n");
+      source.close(done);
+    });
+  });
+
+  it("lists tiles whose buffer contains points", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    // Both points are within 256/4096 of a tile width of the z1 tile edges
+    new DuckDBSource(new URL(`duckdb://${listDbPath}?table=points&maxzoom=1`), async (err, source) => {
+      assert.ifError(err);
+
+      const text = await readStream(source.createZXYStream());
+      assert.strictEqual(text, "0/0/0\n1/0/0\n1/0/1\n1/1/0\n1/1/1\n");
+      source.close(done);
+    });
+  });
+
+  it("checks geometries against the tiles their bounding boxes cover", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${listDbPath}?table=lines&maxzoom=1`), async (err, source) => {
+      assert.ifError(err);
+
+      const text = await readStream(source.createZXYStream());
+      assert.strictEqual(text, "0/0/0\n1/0/0\n1/0/1\n1/1/1\n");
+      source.close(done);
+    });
+  });
+
+  it("respects layer zoom ranges", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${listDbPath}?layers=points,lines&points.minzoom=2&points.maxzoom=2&lines.maxzoom=0&buffer=0`);
+
+    new DuckDBSource(uri, async (err, source) => {
+      assert.ifError(err);
+
+      const text = await readStream(source.createZXYStream());
+      assert.strictEqual(text, "0/0/0\n2/1/2\n2/2/1\n");
+      source.close(done);
+    });
+  });
+});
+
+describe("DuckDBSource compression", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const compressionDbPath = path.join(fixturesDir, "compression.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(compressionDbPath)) {
+      fs.unlinkSync(compressionDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(compressionDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places AS
+      SELECT 1 AS id, 'compressed_place' AS name, ST_Point(0, 0) AS geometry
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(compressionDbPath)) {
+      fs.unlinkSync(compressionDbPath);
+    }
+  });
+
+  it("gzips tiles by default", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${compressionDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(headers["Content-Encoding"], "gzip");
+        assert.ok(zlib.gunzipSync(data).toString("latin1").includes("compressed_place"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("returns uncompressed tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${compressionDbPath}?table=places&compression=none`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(headers["Content-Encoding"], undefined);
+        assert.ok(data.toString("latin1").includes("compressed_place"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("gzips tiles with a chosen level", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${compressionDbPath}?table=places&compression=gzip&compression_level=0`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(headers["Content-Encoding"], "gzip");
+        // Level 0 stores the tile uncompressed inside the gzip stream
+        assert.ok(data.toString("latin1").includes("compressed_place"));
+        assert.ok(zlib.gunzipSync(data).toString("latin1").includes("compressed_place"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("compresses tiles with brotli", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${compressionDbPath}?table=places&compression=brotli&compression_level=4`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(headers["Content-Encoding"], "br");
+        assert.ok(zlib.brotliDecompressSync(data).toString("latin1").includes("compressed_place"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("compresses tiles with zstd", { skip: !zlib.zstdDecompressSync }, (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${compressionDbPath}?table=places&compression=zstd`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(headers["Content-Encoding"], "zstd");
+        assert.ok(zlib.zstdDecompressSync(data).toString("latin1").includes("compressed_place"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("rejects zstd where Node.js doesn't support it", { skip: Boolean(zlib.zstdCompress) }, (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${compressionDbPath}?table=places&compression=zstd`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /zstd compression requires/);
+      done();
+    });
+  });
+
+  it("rejects invalid compression settings", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${compressionDbPath}?table=places&compression=lz4`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid compression/i);
+
+      const level = new URL(`duckdb://${compressionDbPath}?table=places&compression=gzip&compression_level=10`);
+
+      new DuckDBSource(level, (err) => {
+        assert.ok(err);
+        assert.match(err.message, /from 0 to 9 for gzip/);
+
+        const noLevel = new URL(`duckdb://${compressionDbPath}?table=places&compression=none&compression_level=1`);
+
+        new DuckDBSource(noLevel, (err) => {
+          assert.ok(err);
+          assert.match(err.message, /compression_level/);
+          done();
+        });
+      });
+    });
+  });
+});
+
+describe("DuckDBSource empty tiles", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const emptyDbPath = path.join(fixturesDir, "empty.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(emptyDbPath)) {
+      fs.unlinkSync(emptyDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(emptyDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places AS
+      SELECT * FROM (VALUES
+        (1, 'west_place', ST_Point(10, 50)),
+        (2, 'east_place', ST_Point(20, 50))
+      ) t(id, name, geometry)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(emptyDbPath)) {
+      fs.unlinkSync(emptyDbPath);
+    }
+  });
+
+  it("rejects invalid empty tile modes", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326&empty_tile=skip`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid empty_tile/i);
+      done();
+    });
+  });
+
+  it("renders tiles within the bounds", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326`), (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      source.getTile(10, 540, 347, (err, data) => {
+        assert.ifError(err);
+        assert.ok(zlib.gunzipSync(data).toString("latin1").includes("west_place"));
+        assert.strictEqual(renders.count, 1);
+        source.close(done);
+      });
+    });
+  });
+
+  it("answers tiles outside the bounds without a query", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326`), (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      source.getTile(10, 100, 100, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, "Tile does not exist");
+        assert.strictEqual(renders.count, 0);
+        source.close(done);
+      });
+    });
+  });
+
+  it("answers tiles outside the zoom range without a query", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326&maxzoom=9`), (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      source.getTile(10, 540, 347, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, "Tile does not exist");
+        assert.strictEqual(renders.count, 0);
+        source.close(done);
+      });
+    });
+  });
+
+  it("reports empty tiles within the bounds as missing", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326`), (err, source) => {
+      assert.ifError(err);
+      const renders = countRenders(source);
+
+      // Between the two places
+      source.getTile(10, 554, 347, (err) => {
+        assert.ok(err);
+        assert.strictEqual(err.message, "Tile does not exist");
+        assert.strictEqual(renders.count, 1);
+        source.close(done);
+      });
+    });
+  });
+
+  it("returns empty buffers for empty tiles", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326&empty_tile=empty`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(10, 100, 100, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(data.length, 0);
+        assert.strictEqual(headers["Content-Type"], "application/vnd.mapbox-vector-tile");
+        assert.strictEqual(headers["Content-Encoding"], undefined);
+        source.close(done);
+      });
+    });
+  });
+
+  it("marks empty tiles with a header", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${emptyDbPath}?table=places&crs=4326&empty_tile=no_content`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(10, 554, 347, (err, data, headers) => {
+        assert.ifError(err);
+        assert.strictEqual(data.length, 0);
+        assert.strictEqual(headers["x-tilelive-contains-data"], false);
+        source.close(done);
+      });
+    });
+  });
+});
+
+describe("DuckDBSource feature ids", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const idsDbPath = path.join(fixturesDir, "ids.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(idsDbPath)) {
+      fs.unlinkSync(idsDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(idsDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places AS
+      SELECT * FROM (VALUES
+        (7, 'place-a', 'Place A', ST_Point(0, 0)),
+        (8, 'place-b', 'Place B', ST_Point(1000, 1000))
+      ) t(id, code, name, geometry)
+    `);
+    await conn.run(`
+      CREATE TABLE landmarks AS
+      SELECT * FROM (VALUES
+        (3::USMALLINT, 'Landmark A', ST_Point(0, 0)),
+        (40000::USMALLINT, 'Landmark B', ST_Point(1000, 1000))
+      ) t(id, name, geometry)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(idsDbPath)) {
+      fs.unlinkSync(idsDbPath);
+    }
+  });
+
+  // Minimal protobuf reader, enough to find the keys and feature ids of
+  // each layer in a tile
+  function readMessage(buffer, onField) {
+    let pos = 0;
+    const varint = () => {
+      let result = 0n;
+      let shift = 0n;
+      let byte;
+      do {
+        byte = buffer[pos++];
+        result |= BigInt(byte & 0x7f) << shift;
+        shift += 7n;
+      } while (byte & 0x80);
+      return result;
+    };
+
+    while (pos < buffer.length) {
+      const key = Number(varint());
+      const type = key & 7;
+      if (type === 0) {
+        onField(key >> 3, varint());
+      } else if (type === 2) {
+        const length = Number(varint());
+        onField(key >> 3, buffer.subarray(pos, pos + length));
+        pos += length;
+      } else {
+        pos += type === 5 ? 4 : 8;
+      }
+    }
+  }
+
+  function decodeLayers(tile) {
+    const layers = [];
+    readMessage(tile, (field, value) => {
+      if (field !== 3) return;
+
+      const layer = { name: null, keys: [], ids: [] };
+      readMessage(value, (field, value) => {
+        if (field === 1) layer.name = value.toString();
+        if (field === 3) layer.keys.push(value.toString());
+        if (field === 2) {
+          readMessage(value, (field, value) => {
+            if (field === 1) layer.ids.push(value);
+          });
+        }
+      });
+      layers.push(layer);
+    });
+    return layers;
+  }
+
+  it("encodes integer columns as feature ids", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=id`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+
+        const [layer] = decodeLayers(zlib.gunzipSync(data));
+        assert.deepStrictEqual(layer.ids.sort(), [7n, 8n]);
+        assert.ok(!layer.keys.includes("id"), "id should not be a property");
+        assert.ok(layer.keys.includes("name"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("encodes other integer types as feature ids", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=landmarks&id=id`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+
+        const [layer] = decodeLayers(zlib.gunzipSync(data));
+        assert.deepStrictEqual(layer.ids.sort(), [3n, 40000n]);
+        source.close(done);
+      });
+    });
+  });
+
+  it("hashes string keys into feature ids", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=code&id_hash=true`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+
+        const [layer] = decodeLayers(zlib.gunzipSync(data));
+        assert.strictEqual(layer.ids.length, 2);
+        assert.notStrictEqual(layer.ids[0], layer.ids[1]);
+        assert.ok(layer.ids.every((id) => id < 2n ** 53n));
+        assert.ok(!layer.keys.includes("code"), "code should not be a property");
+        assert.ok(layer.keys.includes("id"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("leaves the id column out of vector_layers fields", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=id`), (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(Object.keys(info.vector_layers[0].fields).sort(), ["code", "name"]);
+        source.close(done);
+      });
+    });
+  });
+
+  it("rejects missing id columns", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=missing`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /ID column does not exist: missing/);
+      done();
+    });
+  });
+
+  it("rejects id columns that are not integers", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=code`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /must have an integer type/);
+      assert.match(err.message, /id_hash=true/);
+      done();
+    });
+  });
+
+  it("rejects id columns listed in fields", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${idsDbPath}?table=places&id=id&fields=id,name`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /feature id and cannot also be a property/);
+      done();
+    });
+  });
+});
+
+describe("DuckDBSource point clustering", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const clusterDbPath = path.join(fixturesDir, "cluster.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(clusterDbPath)) {
+      fs.unlinkSync(clusterDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(clusterDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE pois AS
+      SELECT
+        i AS id,
+        'clustered_place_' || i AS name,
+        i * 100 AS pop,
+        ST_Point(i * 10, i * 10) AS geometry
+      FROM range(10) r(i)
+      UNION ALL
+      SELECT 10, 'lonely_place', 5000, ST_Point(-10000000, -10000000)
+    `);
+    await conn.run(`
+      CREATE TABLE mixed AS
+      SELECT 'mixed_place_' || i AS name, ST_Point(i * 10, i * 10) AS geometry
+      FROM range(10) r(i)
+      UNION ALL
+      SELECT 'city_park', ST_GeomFromText('POLYGON((0 0, 100000 0, 100000 100000, 0 100000, 0 0))')
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(clusterDbPath)) {
+      fs.unlinkSync(clusterDbPath);
+    }
+  });
+
+  it("clusters points up to cluster_maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${clusterDbPath}?table=pois&cluster_maxzoom=2&cluster_sum=pop`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+
+        assert.ok(tile.includes("point_count"));
+        assert.ok(tile.includes("pop_sum"));
+        assert.ok(!tile.includes("clustered_place_"), "clustered points should not keep their properties");
+        assert.ok(tile.includes("lonely_place"), "single points should keep their properties");
+        source.close(done);
+      });
+    });
+  });
+
+  it("leaves points unclustered above cluster_maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${clusterDbPath}?table=pois&cluster_maxzoom=2&cluster_sum=pop`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(3, 4, 3, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+
+        assert.ok(!tile.includes("point_count"));
+        assert.ok(tile.includes("clustered_place_0"));
+        assert.ok(tile.includes("clustered_place_9"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("passes other geometries through unclustered", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${clusterDbPath}?table=mixed&cluster_maxzoom=2`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+
+        assert.ok(tile.includes("point_count"));
+        assert.ok(!tile.includes("mixed_place_"), "clustered points should not keep their properties");
+        assert.ok(tile.includes("city_park"), "polygons should keep their properties");
+        source.close(done);
+      });
+    });
+  });
+
+  it("reports cluster attributes in vector_layers", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${clusterDbPath}?table=pois&cluster_maxzoom=2&cluster_avg=pop&cluster_max=pop:largest`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        const fields = info.vector_layers[0].fields;
+        assert.strictEqual(fields.point_count, "Number");
+        assert.strictEqual(fields.pop_avg, "Number");
+        assert.strictEqual(fields.largest, "Number");
+        source.close(done);
+      });
+    });
+  });
+
+  it("rejects cluster settings without cluster_maxzoom", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${clusterDbPath}?table=pois&cluster_size=32`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /cluster_size parameter requires cluster_maxzoom/);
+      done();
+    });
+  });
+
+  it("rejects invalid cluster methods", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${clusterDbPath}?table=pois&cluster_maxzoom=2&cluster_method=kmeans`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /invalid cluster_method/i);
+      done();
+    });
+  });
+
+  it("rejects aggregates of missing columns", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${clusterDbPath}?table=pois&cluster_maxzoom=2&cluster_sum=missing`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /Cluster aggregate column does not exist: missing/);
+      done();
+    });
+  });
+});
+
+describe("DuckDBSource tile parameters", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const paramsDbPath = path.join(fixturesDir, "params.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(paramsDbPath)) {
+      fs.unlinkSync(paramsDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(paramsDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE buildings AS
+      SELECT * FROM (VALUES
+        (2023, 'commercial', 'built_2023_commercial', ST_Point(0, 0)),
+        (2024, 'commercial', 'built_2024_commercial', ST_Point(1000, 1000)),
+        (2024, 'residential', 'built_2024_residential', ST_Point(2000, 2000))
+      ) t(year, class, name, geometry)
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(paramsDbPath)) {
+      fs.unlinkSync(paramsDbPath);
+    }
+  });
+
+  const filters =
+    "param.year=integer&param.class=string" +
+    `&filter=${encodeURIComponent("($year IS NULL OR year = $year)")}` +
+    `&filter.0-14=${encodeURIComponent("($class IS NULL OR class = $class)")}`;
+
+  it("filters tiles by request parameters", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&${filters}`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, { params: { year: "2024", class: "commercial" } }, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+
+        assert.ok(tile.includes("built_2024_commercial"));
+        assert.ok(!tile.includes("built_2023_commercial"));
+        assert.ok(!tile.includes("built_2024_residential"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("leaves parameters that are not supplied unset", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&${filters}`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, { params: { year: 2024 } }, (err, data) => {
+        assert.ifError(err);
+        const tile = zlib.gunzipSync(data).toString("latin1");
+        assert.ok(tile.includes("built_2024_commercial"));
+        assert.ok(tile.includes("built_2024_residential"));
+        assert.ok(!tile.includes("built_2023_commercial"));
+
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          const tile = zlib.gunzipSync(data).toString("latin1");
+          assert.ok(tile.includes("built_2023_commercial"));
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("does not cache tiles of requests with parameters", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&${filters}&cache=memory`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ifError(err);
+
+        source.getTile(0, 0, 0, { params: { class: "residential" } }, (err, data) => {
+          assert.ifError(err);
+          const tile = zlib.gunzipSync(data).toString("latin1");
+          assert.ok(!tile.includes("built_2024_commercial"));
+          assert.strictEqual(source.cache.entries.size, 1);
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("rejects unknown parameters and invalid values", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&${filters}`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, { params: { colour: "red" } }, (err) => {
+        assert.ok(err);
+        assert.match(err.message, /Unknown tile parameter: colour/);
+
+        source.getTile(0, 0, 0, { params: { year: "2024; DROP TABLE buildings" } }, (err) => {
+          assert.ok(err);
+          assert.match(err.message, /Invalid value for parameter year/);
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("rejects filters with undeclared parameters", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const uri = new URL(`duckdb://${paramsDbPath}?table=buildings&filter=${encodeURIComponent("year = $year")}`);
+
+    new DuckDBSource(uri, (err) => {
+      assert.ok(err);
+      assert.match(err.message, /undeclared parameter \$year/);
+      done();
+    });
+  });
+
+  it("rejects invalid parameter types", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&param.year=date`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /Invalid type for parameter year/);
+      done();
+    });
+  });
+
+  it("rejects reserved parameter names", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${paramsDbPath}?table=buildings&param.__z=integer`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /Invalid parameter name: __z/);
+      done();
+    });
+  });
+});
+
+describe("DuckDBSource prepared tile queries", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const preparedDbPath = path.join(fixturesDir, "prepared.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    if (fs.existsSync(preparedDbPath)) {
+      fs.unlinkSync(preparedDbPath);
+    }
+
+    const instance = await DuckDBInstance.create(preparedDbPath);
+    const conn = await instance.connect();
+
+    await conn.run("INSTALL spatial; LOAD spatial;");
+    await conn.run(`
+      CREATE TABLE places AS
+      SELECT * FROM (VALUES
+        ('Place A', ST_Point(-1000, 1000)),
+        ('Place B', ST_Point(1000, -1000))
+      ) t(name, "order")
+    `);
+
+    conn.closeSync();
+  });
+
+  after(() => {
+    if (fs.existsSync(preparedDbPath)) {
+      fs.unlinkSync(preparedDbPath);
+    }
+  });
+
+  it("escapes layer names and quotes geometry columns", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    const layer = encodeURIComponent("places'");
+    const uri = new URL(`duckdb://${preparedDbPath}?table=places&geometry=order&layer=${layer}&compression=none`);
+
+    new DuckDBSource(uri, (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err, data) => {
+        assert.ifError(err);
+        const tile = data.toString("latin1");
+        assert.ok(tile.includes("places'"));
+        assert.ok(tile.includes("Place A"));
+        source.close(done);
+      });
+    });
+  });
+
+  it("reuses one prepared statement per zoom level", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${preparedDbPath}?table=places&geometry=order&pool_size=1`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(1, 0, 0, (err) => {
+        assert.ifError(err);
+
+        source.getTile(1, 1, 1, (err, data) => {
+          assert.ifError(err);
+          assert.ok(zlib.gunzipSync(data).toString("latin1").includes("Place B"));
+
+          source.getTile(2, 1, 1, (err) => {
+            assert.ifError(err);
+
+            const [connection] = source.pool.connections;
+            assert.strictEqual(source._statements.get(connection).size, 2);
+            source.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it("reports tiles outside the tile grid as missing", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    new DuckDBSource(new URL(`duckdb://${preparedDbPath}?table=places&geometry=order`), (err, source) => {
+      assert.ifError(err);
+
+      const coordinates = [
+        [-1, 0, 0],
+        [1, 2, 0],
+        [1, 0, -1],
+        [0.5, 0, 0],
+        [1, "0 OR 1=1", 0],
+        [31, 0, 0],
+      ];
+
+      let remaining = coordinates.length;
+      for (const [z, x, y] of coordinates) {
+        source.getTile(z, x, y, (err) => {
+          assert.ok(err, `${z}/${x}/${y} should not exist`);
+          assert.match(err.message, /Tile does not exist/);
+          if (--remaining === 0) {
+            source.close(done);
+          }
+        });
+      }
+    });
+  });
+});
+
+describe("DuckDBSource reloading", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const reloadDbPath = path.join(fixturesDir, "reload.db");
+  const oldDbPath = path.join(fixturesDir, "reload-old.db");
+  const newDbPath = path.join(fixturesDir, "reload-new.db");
+  const replacementPath = path.join(fixturesDir, "reload-replacement.db");
+
+  before(async () => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+
+    const databases = [
+      [oldDbPath, "SELECT 'old_place' AS name, ST_Point(0, 0) AS geometry"],
+      [newDbPath, "SELECT 'new_place' AS name, 3 AS rank, ST_Point(1000000, 1000000) AS geometry"],
+    ];
+
+    for (const [file, query] of databases) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+
+      const instance = await DuckDBInstance.create(file);
+      const conn = await instance.connect();
+      await conn.run("INSTALL spatial; LOAD spatial;");
+      await conn.run(`CREATE TABLE places AS ${query}`);
+      conn.closeSync();
+      instance.closeSync();
+    }
+  });
+
+  after(() => {
+    for (const file of [reloadDbPath, oldDbPath, newDbPath, replacementPath]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  // Copy a database next to the source's file and move it over it, as an
+  // ETL job replacing the file would
+  function replaceDatabase(file) {
+    fs.copyFileSync(file, replacementPath);
+    fs.renameSync(replacementPath, reloadDbPath);
+  }
+
+  function tileText(data) {
+    return zlib.gunzipSync(data).toString("latin1");
+  }
+
+  it("reloads data, columns and bounds", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(Object.keys(info.vector_layers[0].fields), ["name"]);
+
+        replaceDatabase(newDbPath);
+        source.reload((err) => {
+          assert.ifError(err);
+
+          source.getInfo((err, info) => {
+            assert.ifError(err);
+            assert.deepStrictEqual(Object.keys(info.vector_layers[0].fields), ["name", "rank"]);
+            assert.ok(info.bounds[0] > 8, "bounds should cover the new point");
+
+            source.getTile(0, 0, 0, (err, data) => {
+              assert.ifError(err);
+              assert.ok(tileText(data).includes("new_place"));
+              assert.ok(!tileText(data).includes("old_place"));
+              source.close(done);
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("finishes requests in flight on the old database", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      // With the bounds known, the first tile starts rendering at once
+      source.getInfo((err) => {
+        assert.ifError(err);
+
+        replaceDatabase(newDbPath);
+
+        let remaining = 2;
+        const finish = () => {
+          if (--remaining === 0) {
+            source.close(done);
+          }
+        };
+
+        // Started before the reload, so rendered from the file it replaced
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          assert.ok(tileText(data).includes("old_place"));
+          finish();
+        });
+
+        source.reload((err) => {
+          assert.ifError(err);
+
+          source.getTile(0, 0, 0, (err, data) => {
+            assert.ifError(err);
+            assert.ok(tileText(data).includes("new_place"));
+            finish();
+          });
+        });
+      });
+    });
+  });
+
+  it("finishes tile lists on the database they started on", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      // A listing that has started holds a connection to the old database
+      const tiles = source._listTiles();
+      tiles.next().then((first) => {
+        assert.ok(!first.done);
+
+        replaceDatabase(newDbPath);
+        source.reload((err) => {
+          assert.ifError(err);
+
+          tiles.return().then(() => {
+            // Once the old database has been released
+            setImmediate(() => {
+              source.getTile(0, 0, 0, (err, data) => {
+                assert.ifError(err);
+                assert.ok(tileText(data).includes("new_place"));
+                source.close(done);
+              });
+            });
+          });
+        });
+      });
+    });
+  });
+
+  it("doesn't keep info computed while reloading", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      // Hold the source's info request until the reload, which computes
+      // its own info on a stand-in for the source, has finished
+      let resume;
+      const held = new Promise((resolve) => (resume = resolve));
+      const getGeometryType = source._getGeometryType;
+      source._getGeometryType = function (...args) {
+        if (this !== source) {
+          return getGeometryType.apply(this, args);
+        }
+        return held.then(() => getGeometryType.apply(this, args));
+      };
+
+      source.getInfo((err, info) => {
+        assert.ifError(err);
+        assert.deepStrictEqual(Object.keys(info.vector_layers[0].fields), ["name", "rank"]);
+
+        source.getInfo((err, cached) => {
+          assert.ifError(err);
+          assert.strictEqual(cached, info);
+          source.close(done);
+        });
+      });
+
+      replaceDatabase(newDbPath);
+      source.reload((err) => {
+        assert.ifError(err);
+        resume();
+      });
+    });
+  });
+
+  it("keeps serving the old database when a reload fails", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places`), (err, source) => {
+      assert.ifError(err);
+
+      fs.writeFileSync(replacementPath, "not a database");
+      fs.renameSync(replacementPath, reloadDbPath);
+
+      source.reload((err) => {
+        assert.ok(err, "reloading a broken file should fail");
+
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+          assert.ok(tileText(data).includes("old_place"));
+          source.close(done);
+        });
+      });
+    });
+  });
+
+  it("drops cached tiles on reload", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places&cache=memory`), (err, source) => {
+      assert.ifError(err);
+
+      source.getTile(0, 0, 0, (err) => {
+        assert.ifError(err);
+
+        replaceDatabase(newDbPath);
+        source.reload((err) => {
+          assert.ifError(err);
+
+          source.getTile(0, 0, 0, (err, data) => {
+            assert.ifError(err);
+            assert.ok(tileText(data).includes("new_place"));
+            source.close(done);
+          });
+        });
+      });
+    });
+  });
+
+  it("watches the file for changes", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places&watch=true&watch_interval=20`), (err, source) => {
+      assert.ifError(err);
+
+      replaceDatabase(newDbPath);
+
+      const deadline = Date.now() + 5000;
+      const check = () => {
+        source.getTile(0, 0, 0, (err, data) => {
+          assert.ifError(err);
+
+          if (tileText(data).includes("new_place")) {
+            return source.close(done);
+          }
+          if (Date.now() > deadline) {
+            return source.close(() => done(new Error("source did not reload")));
+          }
+          setTimeout(check, 20);
+        });
+      };
+      check();
+    });
+  });
+
+  it("reports failed reloads and waits for the file to change again", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places&watch=true&watch_interval=20`), (err, source) => {
+      assert.ifError(err);
+
+      let reloads = 0;
+      const reload = source._reload;
+      source._reload = function () {
+        reloads++;
+        return reload.call(this);
+      };
+
+      fs.writeFileSync(replacementPath, "not a database");
+      fs.renameSync(replacementPath, reloadDbPath);
+
+      const deadline = Date.now() + 5000;
+      const waitFor = (condition, next) => {
+        if (condition()) {
+          return next();
+        }
+        if (Date.now() > deadline) {
+          return source.close(() => done(new Error("source did not reload")));
+        }
+        setTimeout(() => waitFor(condition, next), 20);
+      };
+
+      waitFor(
+        () => source.reloadError,
+        () => {
+          // Several checks later, the broken file hasn't been opened again
+          setTimeout(() => {
+            assert.strictEqual(reloads, 1);
+
+            replaceDatabase(newDbPath);
+            waitFor(
+              () => source.reloadError === null,
+              () => {
+                source.getTile(0, 0, 0, (err, data) => {
+                  assert.ifError(err);
+                  assert.ok(tileText(data).includes("new_place"));
+                  source.close(done);
+                });
+              },
+            );
+          }, 200);
+        },
+      );
+    });
+  });
+
+  it("rejects watching tile stores and invalid intervals", (_, done) => {
+    const tilelive = { protocols: {} };
+    const DuckDBSource = require("../index.js")(tilelive);
+
+    replaceDatabase(oldDbPath);
+    new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places&mode=tiles&watch=true`), (err) => {
+      assert.ok(err);
+      assert.match(err.message, /watch parameter is not supported for tile stores/);
+
+      new DuckDBSource(new URL(`duckdb://${reloadDbPath}?table=places&watch=true&watch_interval=0`), (err) => {
+        assert.ok(err);
+        assert.match(err.message, /Invalid watch_interval/);
+        done();
+      });
+    });
+  });
+});
@@ -0,0 +1,98 @@
+"use strict";
+
+const { describe, it, before, after } = require("node:test");
+const assert = require("node:assert");
+const fs = require("node:fs");
+const path = require("node:path");
+
+const InstanceCache = require("../lib/instances");
+
+describe("InstanceCache", () => {
+  const fixturesDir = path.join(__dirname, "fixtures");
+  const cacheDbPath = path.join(fixturesDir, "instances.db");
+
+  before(() => {
+    fs.mkdirSync(fixturesDir, { recursive: true });
+  });
+
+  after(() => {
+    for (const file of [cacheDbPath, `${cacheDbPath}.wal`]) {
+      if (fs.existsSync(file)) {
+        fs.unlinkSync(file);
+      }
+    }
+  });
+
+  it("shares instances opened with the same path and options", async () => {
+    const cache = new InstanceCache();
+
+    const [a, b] = await Promise.all([
+      cache.acquire(cacheDbPath),
+      cache.acquire(cacheDbPath),
+    ]);
+
+    assert.strictEqual(a, b);
+    assert.strictEqual(cache.entries.size, 1);
+
+    cache.release(a);
+    cache.release(b);
+  });
+
+  it("keeps separate instances for different options", async () => {
+    const cache = new InstanceCache();
+
+    const a = await cache.acquire(":memory:");
+    const b = await cache.acquire(":memory:", { threads: "1" });
+
+    assert.notStrictEqual(a, b);
+
+    cache.release(a);
+    cache.release(b);
+  });
+
+  it("keeps separate instances for different file versions", async () => {
+    const cache = new InstanceCache();
+
+    const a = await cache.acquire(cacheDbPath, {}, "v1");
+    const b = await cache.acquire(cacheDbPath, {}, "v2");
+    const c = await cache.acquire(cacheDbPath, {}, "v2");
+
+    assert.notStrictEqual(a, b);
+    assert.strictEqual(b, c);
+
+    cache.release(a);
+    cache.release(b);
+    cache.release(c);
+  });
+
+  it("closes instances after their last release", async () => {
+    const cache = new InstanceCache();
+
+    const a = await cache.acquire(cacheDbPath);
+    const b = await cache.acquire(cacheDbPath);
+
+    assert.strictEqual(cache.release(a), false);
+
+    // Still usable by the remaining user
+    const connection = await b.connect();
+    await connection.run("SELECT 1");
+    connection.closeSync();
+
+    assert.strictEqual(cache.release(b), true);
+    assert.strictEqual(cache.entries.size, 0);
+  });
+
+  it("doesn't cache failed opens", async () => {
+    const cache = new InstanceCache();
+
+    await assert.rejects(cache.acquire("/nonexistent/path/db.db", { access_mode: "READ_ONLY" }));
+
+    assert.strictEqual(cache.entries.size, 0);
+  });
+
+  it("rejects instances it did not open", async () => {
+    const cache = new InstanceCache();
+
+    assert.throws(() => cache.release({}), /not acquired/);
+  });
+});
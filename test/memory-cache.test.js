@@ -0,0 +1,80 @@
+"use strict";
+
+const { describe, it } = require("node:test");
+const assert = require("node:assert");
+
+const MemoryCache = require("../lib/memory-cache");
+
+describe("MemoryCache", () => {
+  it("returns cached tiles", async () => {
+    const cache = new MemoryCache();
+
+    await cache.set(1, 0, 1, Buffer.from("tile"));
+
+    assert.deepStrictEqual(await cache.get(1, 0, 1), Buffer.from("tile"));
+    assert.strictEqual(await cache.get(1, 1, 1), null);
+    assert.strictEqual(cache.size, 4);
+  });
+
+  it("evicts the least recently used tiles beyond maxSize", async () => {
+    const cache = new MemoryCache({ maxSize: 10 });
+
+    await cache.set(0, 0, 0, Buffer.alloc(4));
+    await cache.set(1, 0, 0, Buffer.alloc(4));
+    await cache.get(0, 0, 0);
+    await cache.set(1, 1, 0, Buffer.alloc(4));
+
+    assert.ok(await cache.get(0, 0, 0));
+    assert.strictEqual(await cache.get(1, 0, 0), null);
+    assert.ok(await cache.get(1, 1, 0));
+    assert.strictEqual(cache.size, 8);
+  });
+
+  it("does not cache tiles larger than maxSize", async () => {
+    const cache = new MemoryCache({ maxSize: 10 });
+
+    await cache.set(0, 0, 0, Buffer.alloc(4));
+    await cache.set(1, 0, 0, Buffer.alloc(11));
+
+    assert.ok(await cache.get(0, 0, 0));
+    assert.strictEqual(await cache.get(1, 0, 0), null);
+    assert.strictEqual(cache.size, 4);
+  });
+
+  it("accounts for replaced tiles", async () => {
+    const cache = new MemoryCache();
+
+    await cache.set(0, 0, 0, Buffer.alloc(4));
+    await cache.set(0, 0, 0, Buffer.alloc(6));
+
+    assert.strictEqual(cache.size, 6);
+  });
+
+  it("clears when the data version changes", async () => {
+    const cache = new MemoryCache();
+
+    await cache.validate(1);
+    await cache.set(0, 0, 0, Buffer.alloc(4));
+    await cache.validate(1);
+    assert.ok(await cache.get(0, 0, 0));
+
+    await cache.validate(2);
+    assert.strictEqual(await cache.get(0, 0, 0), null);
+    assert.strictEqual(cache.size, 0);
+  });
+
+  it("invalidates matching tiles", async () => {
+    const cache = new MemoryCache();
+
+    await cache.set(1, 0, 0, Buffer.alloc(4));
+    await cache.set(1, 1, 0, Buffer.alloc(4));
+    await cache.set(2, 0, 0, Buffer.alloc(4));
+
+    await cache.invalidate((z, x) => z === 1 && x === 0);
+
+    assert.strictEqual(await cache.get(1, 0, 0), null);
+    assert.ok(await cache.get(1, 1, 0));
+    assert.ok(await cache.get(2, 0, 0));
+    assert.strictEqual(cache.size, 8);
+  });
+});
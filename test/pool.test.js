@@ -0,0 +1,93 @@
+"use strict";
+
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert");
+const { DuckDBInstance } = require("@duckdb/node-api");
+
+const ConnectionPool = require("../lib/pool");
+
+describe("ConnectionPool", () => {
+  let instance;
+
+  beforeEach(async () => {
+    instance = await DuckDBInstance.create(":memory:");
+  });
+
+  afterEach(() => {
+    instance.closeSync();
+  });
+
+  it("runs queries on pooled connections", async () => {
+    const pool = new ConnectionPool(instance, { size: 2 });
+
+    const reader = await pool.use((connection) => connection.runAndReadAll("SELECT 42"));
+
+    assert.deepStrictEqual(reader.getRows(), [[42]]);
+    assert.strictEqual(pool.connections.length, 1);
+    assert.strictEqual(pool.idle.length, 1);
+    pool.close();
+  });
+
+  it("opens no more than size connections", async () => {
+    const pool = new ConnectionPool(instance, { size: 2 });
+
+    const connections = await Promise.all([pool.acquire(), pool.acquire()]);
+    const third = pool.acquire();
+
+    assert.strictEqual(pool.connections.length, 2);
+    assert.strictEqual(pool.waiting.length, 1);
+
+    pool.release(connections[0]);
+    assert.strictEqual(await third, connections[0]);
+
+    pool.release(connections[0]);
+    pool.release(connections[1]);
+    pool.close();
+  });
+
+  it("rejects requests when the queue is full", async () => {
+    const pool = new ConnectionPool(instance, { size: 1, queueLimit: 1 });
+
+    const connection = await pool.acquire();
+    const queued = pool.acquire();
+
+    await assert.rejects(pool.acquire(), /queue is full/);
+
+    pool.release(connection);
+    pool.release(await queued);
+    pool.close();
+  });
+
+  it("releases connections when queries fail", async () => {
+    const pool = new ConnectionPool(instance, { size: 1 });
+
+    await assert.rejects(
+      pool.use((connection) => connection.runAndReadAll("SELECT * FROM missing"))
+    );
+
+    assert.strictEqual(pool.idle.length, 1);
+    pool.close();
+  });
+
+  it("rejects waiting and new requests after close", async () => {
+    const pool = new ConnectionPool(instance, { size: 1 });
+
+    await pool.acquire();
+    const queued = pool.acquire();
+
+    pool.close();
+
+    await assert.rejects(queued, /closed/);
+    await assert.rejects(pool.acquire(), /closed/);
+  });
+
+  it("closes connections that finish opening after close", async () => {
+    const pool = new ConnectionPool(instance, { size: 1 });
+
+    const opening = pool.acquire();
+    pool.close();
+
+    await assert.rejects(opening, /closed/);
+    assert.strictEqual(pool.connections.length, 0);
+  });
+});